@@ -8,11 +8,43 @@
  * Responsibilities:
  * - Provide shared width/height used by textures and scenes
  * - Provide GAME_SETTINGS for balancing difficulty and feel
+ *   (also the defaults every level JSON in assets/levels/ builds on)
  *
  * Editing guide:
  * - baseInjectDuration: base injection time in ms
  * - killerHelperChance / killerLysisChancePerSec: helper aggressiveness
  * - neededToWin / loseThreshold: win/lose pacing
+ * - surviveSeconds / timeLimit: optional timed win/lose (null = off)
+ * - startBacteria / growth: starting population and reproduction curve
+ * - species: mix of species for fresh spawns (keys from systems/species.js)
+ * - helpersPerLysis: helpers spawned per lysis (still capped by maxHelpers);
+ *   only used when burst is null
+ * - burst / resistance / lysogeny / tailFibers: optional rule groups, null
+ *   (off) here; a level switches one on and RULE_DEFAULTS fills it in
+ * - waves / combo: endless mode's wave timing and lysis combos (null = off;
+ *   switched on by ENDLESS_SETTINGS)
+ * - seed: fixed RNG seed for every run (null = random; ?seed= in the URL wins)
+ *
+ * RULE_DEFAULTS hold each optional rule group's values once it is on:
+ * - burst: virions released per lysis and what deploying a helper costs
+ *   (off = helpersPerLysis helpers spawn straight from each lysis)
+ * - resistance: how fast bacteria evolve phage resistance and how often the
+ *   player's phage can mutate back (off = bacteria never resist)
+ * - lysogeny: prophage induction timing and batch scoring (off = lytic only)
+ * - tailFibers: receptor/fiber matching and fiber pickups (off = any phage
+ *   binds any cell)
+ *
+ * ENDLESS_SETTINGS are the waves and combo rules of endless mode, played on
+ * GAME_SETTINGS plus burst, with no way to win (see endlessSettings() in
+ * systems/levels.js).
+ *
+ * DIFFICULTY_PRESETS scale a level's rules for the difficulty picked in
+ * SettingsScene (see withDifficulty() in systems/levels.js):
+ * - winScale: score / survival time needed to win
+ * - loseScale: bacteria count that overruns the dish
+ * - growthScale: division chances
+ * - injectScale: injection time
+ * Their names are the "difficulty.<key>" strings (systems/i18n.js).
  */
 
 
@@ -22,14 +54,100 @@ export const H = 540;
 export const GAME_SETTINGS = {
   neededToWin: 35,
   loseThreshold: 55,
+  surviveSeconds: null,
+  timeLimit: null,
+
+  startBacteria: 10,
+  species: { rod: 1 },
+  growth: {
+    timeScale: 40,      // seconds of play per unit of time ramp
+    timeRampMax: 2.2,
+    popScale: 22,       // bacteria per unit of population ramp
+    popRampMax: 2.0,
+    baseAttempts: 2,    // division attempts per second before ramps
+    baseChance: 0.30,   // division chance per attempt before ramps
+    timeChance: 0.16,
+    popChance: 0.14,
+    maxChance: 0.92,
+    cap: 110            // no divisions at or above this population
+  },
 
   maxHelpers: 6,
+  helpersPerLysis: 2,
 
   killerHelperChance: 0.90,
   killerLysisChancePerSec: 0.35,
 
+  // Optional rule groups, off unless a level switches them on (RULE_DEFAULTS)
+  burst: null,
+  resistance: null,
+  lysogeny: null,
+  tailFibers: null,
+
+  waves: null,
+  combo: null,
+
   baseInjectDuration: 750,
   attachRange: 92,
 
   musicTargetVolume: 0.35,
+
+  seed: null,
+};
+
+export const RULE_DEFAULTS = {
+  burst: {
+    baseSize: 6,                  // virions per lysis before species / conditions
+    spread: 0.25,                 // +/- random variation
+    crowdingPenalty: 0.5,         // share of the burst lost in a dish at the lose threshold
+    helperKillMultiplier: 0.5,    // bursts from helper kills are smaller
+    virionLifetime: 14,           // average seconds before a free virion decays
+    maxVirions: 80,
+    deployCost: 4                 // virions spent per deployed helper (right-click / E)
+  },
+
+  resistance: {
+    receptorMutationChance: 0.01, // per division: daughter's surface receptor changes
+    receptorFitnessCost: 0.25,    // division chance lost per receptor change (compounds)
+    spacerChance: 0.05,           // per cell near a lysis: keeps a CRISPR spacer for that strain
+    exposureRadius: 80,           // px around a lysis that counts as "survived exposure"
+    maxSpacers: 3,                // oldest spacer is forgotten past this
+    mutateCooldown: 12            // seconds between phage mutations (M key)
+  },
+
+  lysogeny: {
+    induceCooldown: 20,           // seconds between induction stress events (I key)
+    batchBonus: 0.1,              // extra points per cell for every other cell induced with it
+    maxBatchMultiplier: 3         // cap on points per induced cell
+  },
+
+  tailFibers: {
+    startFiber: "ompC",           // player's fiber at the start (keys from systems/receptors.js)
+    pickupEvery: 4,               // seconds between fiber pickups
+    pickupLifetime: 15,           // seconds a pickup stays in the dish
+    maxPickups: 3,
+    pickupRadius: 26              // px: how close the player must swim to collect one
+  }
+};
+
+export const ENDLESS_SETTINGS = {
+  waves: {
+    length: 20,                   // seconds of a wave: cells arrive, then divide
+    breather: 8,                  // seconds of calm between waves: no arrivals, no divisions
+    arrivals: 6,                  // fresh cells that swim in when wave 2 starts
+    arrivalsPerWave: 2,           // extra arrivals for every wave after that
+    rampPerWave: 0.35             // growth time ramp gained per wave (replaces the clock)
+  },
+
+  combo: {
+    window: 2.5,                  // seconds after a lysis in which the next one keeps the combo
+    lysesPerStep: 3,              // chained lyses per +1 on the multiplier
+    maxMultiplier: 4
+  }
+};
+
+export const DIFFICULTY_PRESETS = {
+  easy: { winScale: 0.8, loseScale: 1.25, growthScale: 0.85, injectScale: 0.85 },
+  normal: { winScale: 1, loseScale: 1, growthScale: 1, injectScale: 1 },
+  hard: { winScale: 1.1, loseScale: 0.9, growthScale: 1.1, injectScale: 1.1 }
 };
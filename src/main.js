@@ -14,12 +14,21 @@
  * Notes:
  * - Requires Phaser to be loaded globally (e.g. via CDN in index.html)
  * - Uses ES modules (`type="module"`)
+ * - No physics plugin: movement is integrated by systems/simulation.js
+ * - The gamepad plugin is on; systems/input.js reads it
  */
 
 
 import { W, H } from "./config.js";
 import { BootScene } from "./scenes/BootScene.js";
+import { TitleScene } from "./scenes/TitleScene.js";
+import { LevelSelectScene } from "./scenes/LevelSelectScene.js";
 import { GameScene } from "./scenes/GameScene.js";
+import { StatsScene } from "./scenes/StatsScene.js";
+import { SettingsScene } from "./scenes/SettingsScene.js";
+import { PauseScene } from "./scenes/PauseScene.js";
+import { CodexScene } from "./scenes/CodexScene.js";
+import { SandboxScene } from "./scenes/SandboxScene.js";
 
 const CONFIG = {
   type: Phaser.AUTO,
@@ -31,11 +40,10 @@ const CONFIG = {
     width: W,
     height: H
   },
-  physics: {
-    default: "arcade",
-    arcade: { debug: false }
+  input: {
+    gamepad: true
   },
-  scene: [BootScene, GameScene]
+  scene: [BootScene, TitleScene, LevelSelectScene, GameScene, StatsScene, SettingsScene, PauseScene, CodexScene, SandboxScene]
 };
 
 new Phaser.Game(CONFIG);
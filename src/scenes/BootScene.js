@@ -8,15 +8,27 @@
  *
  * Responsibilities:
  * - Preload background music audio
- * - Generate procedural textures (dish, phage, bacterium, UI art)
- * - Transition to GameScene
+ * - Preload the campaign and its level JSON files, and the tutorial script
+ * - Preload the string tables and switch to the player's language
+ * - Generate procedural textures (dish, phage, bacterium, UI art) in the
+ *   player's colour palette, and the sound effect cues (systems/sfx.js)
+ * - Transition to TitleScene
  *
  * Asset requirements:
  * - assets/bg_music.mp3 must exist relative to project root
+ * - assets/levels/campaign.json (or ?campaign=<name>) and the levels it lists
+ * - assets/tutorial.json (systems/tutorial.js)
+ * - assets/locales/<code>.json for every language in LANGUAGES (systems/i18n.js)
  */
 
 
 import { makeTextures } from "../systems/textures.js";
+import { makeSounds } from "../systems/sfx.js";
+import { queueCampaign } from "../systems/levels.js";
+import { getPalette } from "../systems/palettes.js";
+import { loadPreferences } from "../systems/preferences.js";
+import { queueLocales, setLanguage } from "../systems/i18n.js";
+import { queueTutorial } from "../systems/tutorial.js";
 
 export class BootScene extends Phaser.Scene {
   constructor() {
@@ -25,10 +37,16 @@ export class BootScene extends Phaser.Scene {
 
   preload() {
     this.load.audio("bgm", "assets/bg_music.mp3");
+    queueCampaign(this.load);
+    queueLocales(this.load);
+    queueTutorial(this.load);
   }
 
   create() {
-    makeTextures(this);
-    this.scene.start("GameScene");
+    const prefs = loadPreferences();
+    setLanguage(this, prefs.language);
+    makeTextures(this, getPalette(prefs.palette));
+    makeSounds(this);
+    this.scene.start("TitleScene");
   }
 }
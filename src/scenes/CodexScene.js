@@ -0,0 +1,139 @@
+/**
+ * @file src/scenes/CodexScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * The lab notebook: every biology entry the player has unlocked by seeing it
+ * happen in the dish, with a diagram and a short explanation.
+ *
+ * Responsibilities:
+ * - List the entries by section (systems/codex.js); locked ones keep their
+ *   place but not their title
+ * - Show the selected entry's title, diagram (systems/diagrams.js) and text
+ * - Move through the list with a click or the up / down keys
+ * - Return to TitleScene, or to PauseScene when opened with { from: "PauseScene" }
+ *
+ * External dependencies:
+ * - systems/codex.js for the entries and what has been unlocked
+ * - systems/i18n.js for the entry text
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { CODEX_ENTRIES, CODEX_SECTIONS, loadCodex } from "../systems/codex.js";
+import { DIAGRAM_H } from "../systems/diagrams.js";
+import { t } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+const LIST_X = 60;
+const PAGE_X = 620;
+const PAGE_W = 560;
+
+export class CodexScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "CodexScene" });
+  }
+
+  create(data = {}) {
+    this.from = data.from || "TitleScene";
+    this.unlocked = loadCodex();
+    this.ids = Object.keys(CODEX_ENTRIES);
+    this.selected = null;
+
+    if (this.from === "PauseScene") this.add.rectangle(W / 2, H / 2, W, H, 0x04090f, 0.88);
+    else this.add.image(W / 2, H / 2, "dish").setDepth(-10).setAlpha(0.35);
+
+    this.add.text(W / 2, 36, t("menu.codex"), {
+      fontFamily: UI_FONT,
+      fontSize: "30px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    const back = this.from === "PauseScene" ? t("settings.back") : t("menu.back");
+    makeButton(this, 90, 36, 140, back, () => this.scene.start(this.from));
+
+    this.add.text(W - 40, 36, t("codex.progress", { count: this.unlocked.size, total: this.ids.length }), {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#9cc6ff"
+    }).setOrigin(1, 0.5);
+
+    this.buildList(84);
+    this.buildPage();
+
+    // Open on the first unlocked entry, or the first entry when nothing is unlocked yet
+    const first = this.ids.find((id) => this.unlocked.has(id));
+    this.select(first || this.ids[0]);
+
+    this.input.keyboard.on("keydown-UP", () => this.step(-1));
+    this.input.keyboard.on("keydown-DOWN", () => this.step(1));
+  }
+
+  buildList(top) {
+    this.rows = {};
+    let y = top;
+
+    for (const section of CODEX_SECTIONS) {
+      this.add.text(LIST_X - 20, y, t(`codex.section.${section}`), {
+        fontFamily: UI_FONT,
+        fontSize: "14px",
+        color: "#9cc6ff"
+      });
+      y += 24;
+
+      for (const id of this.ids.filter((key) => CODEX_ENTRIES[key].section === section)) {
+        const open = this.unlocked.has(id);
+        const row = this.add.text(LIST_X, y, open ? t(`codex.${id}.title`) : t("codex.locked"), {
+          fontFamily: UI_FONT,
+          fontSize: "15px",
+          color: open ? "#e8f3ff" : "#5a7890"
+        }).setInteractive({ useHandCursor: true });
+        row.on("pointerdown", () => this.select(id));
+        this.rows[id] = row;
+        y += 22;
+      }
+      y += 6;
+    }
+  }
+
+  buildPage() {
+    this.titleText = this.add.text(PAGE_X, 96, "", {
+      fontFamily: UI_FONT,
+      fontSize: "22px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    this.diagram = this.add.image(PAGE_X, 130 + DIAGRAM_H / 2, "diagram-attachment");
+
+    this.bodyText = this.add.text(PAGE_X - PAGE_W / 2, 150 + DIAGRAM_H, "", {
+      fontFamily: UI_FONT,
+      fontSize: "15px",
+      color: "#b8d7ff",
+      lineSpacing: 4,
+      wordWrap: { width: PAGE_W }
+    });
+  }
+
+  select(id) {
+    if (this.selected) this.rows[this.selected].setBackgroundColor(null);
+    this.selected = id;
+    this.rows[id].setBackgroundColor("#123a54");
+
+    if (!this.unlocked.has(id)) {
+      this.titleText.setText(t("codex.locked"));
+      this.diagram.setVisible(false);
+      this.bodyText.setText(t("codex.lockedBody"));
+      return;
+    }
+
+    this.titleText.setText(t(`codex.${id}.title`));
+    this.diagram.setTexture(CODEX_ENTRIES[id].diagram).setVisible(true);
+    this.bodyText.setText(t(`codex.${id}.body`));
+  }
+
+  step(dir) {
+    const i = this.ids.indexOf(this.selected);
+    this.select(this.ids[(i + dir + this.ids.length) % this.ids.length]);
+  }
+}
@@ -4,59 +4,189 @@
  * @version 0.0.1
  * @description
  * Main gameplay scene for Phagefall (phages vs bacteria).
- *
- * Core loop:
- * - Player moves via WASD/arrow keys
- * - Click/tap bacteria in range to attach and inject
- * - Injection completes -> bacterium lyses -> score increases -> helpers spawn
- * - Bacteria reproduce over time with ramping difficulty
- * - Win by reaching neededToWin score, lose if bacteria exceed loseThreshold
+ * The rules live in systems/simulation.js; this scene feeds it input and
+ * draws its state. Controls are listed in the README.
  *
  * Responsibilities:
- * - Build the dish, player, groups, UI, particles
- * - Handle input + movement + injection logic
- * - Spawn bacteria + helpers + manage difficulty ramp
- * - Run tutorial overlay sequence
- * - Display end screen with New Game button
+ * - Build the dish, player sprite, HUD, touch buttons and particles
+ * - Read keyboard, gamepad and touch input and step the Simulation at its
+ *   fixed rate, for a level, endless mode ({ mode: "endless" }) or free play
+ * - Keep one pooled sprite per simulation entity; play effects, sound cues
+ *   and screen reader announcements for sim events
+ * - Run the level intro, goal cards and tutorial steps (systems/tutorial.js)
+ * - Record every step's input, or play a loaded replay back
+ * - Save the live run when the page is hidden or loses focus, for "Continue"
+ * - Pause and resume with PauseScene, re-applying the player's preferences
+ * - Sample the population for the mini-graph, results chart and CSV
+ * - Show the results screen; record progress, the run in the profile and
+ *   newly unlocked lab notebook entries
  *
- * External dependencies:
- * - systems/behaviors.js for bacteria + helper movement/AI
- * - systems/geometry.js for dish point math
- * - config.js for dimensions and balance constants
+ * Notes:
+ * - Every on-screen and announced text comes from t() (systems/i18n.js)
+ * - Colours come from the player's palette (systems/palettes.js); reduced
+ *   motion drops pops, wobble, blinking and flashes
  */
 
 
 import { W, H, GAME_SETTINGS } from "../config.js";
-import { bacteriaDrift, helperBrain } from "../systems/behaviors.js";
-import { randomPointInDish, clampToDishPoint } from "../systems/geometry.js";
+import { Simulation, SIM_DT } from "../systems/simulation.js";
+import { resolveSeed } from "../systems/rng.js";
+import {
+  ReplayRecorder, ReplayPlayer, downloadReplay, pickReplayFile
+} from "../systems/replay.js";
+import { getCampaign, levelSettings, endlessSettings, withDifficulty } from "../systems/levels.js";
+import { getSpecies } from "../systems/species.js";
+import { getReceptor } from "../systems/receptors.js";
+import { ORDER_RADIUS } from "../systems/behaviors.js";
+import { recordLevelResult } from "../systems/campaign.js";
+import { saveRun, clearSavedRun } from "../systems/savegame.js";
+import { recordRun, loadProfile, bestsKey } from "../systems/profile.js";
+import { loadCodex, saveCodex, discoveriesFor } from "../systems/codex.js";
+import {
+  POPULATION_SERIES, PopulationSampler, drawPopulationChart, drawSwatch, downloadPopulationCSV
+} from "../systems/population.js";
+import { loadPreferences, savePreferences, keyLabel, padLabel } from "../systems/preferences.js";
+import { InputController } from "../systems/input.js";
+import { TouchControls, touchModeOn } from "../systems/touch.js";
+import { getPalette } from "../systems/palettes.js";
+import { t, levelName, levelIntro } from "../systems/i18n.js";
+import { getTutorial, tutorialSteps, stepText, StepTracker } from "../systems/tutorial.js";
+import { announce } from "../systems/announcer.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+import { Pool } from "../systems/pool.js";
+import { SFX_FOR_EVENT, playSfx } from "../systems/sfx.js";
+
+// Long frames (tab switches, hitches) are capped so they can't queue up a burst of steps
+const MAX_FRAME_MS = 100;
+
+// Game speed while the player practises a tutorial task. Cards freeze the
+// dish; practice tasks run it with the Simulation's practice input, so the
+// dish can't be lost while the player learns
+const TUTORIAL_SPEED = 0.5;
+
+// Population mini-graph, under the pause button
+const GRAPH_BOX = { x: W - 256, y: 64, w: 240, h: 90 };
+
+// Screen-reader score updates: every quarter of the target, or every this many points without one
+const SCORE_ANNOUNCE_STEP = 10;
+// Share of the lose threshold that raises an outbreak warning, and the share it must drop under to re-arm
+const OUTBREAK_WARN_SHARE = 0.75;
+const OUTBREAK_CLEAR_SHARE = 0.6;
+
+// Debug view colours for helper states (systems/behaviors.js)
+const STATE_COLORS = { seek: 0xffd36b, regroup: 0x9cc6ff, patrol: 0x8dff7a, wander: 0x8fa3c0 };
+
+// Helper orders, by the action that gives them; names and float texts are "order.<name>.*" strings
+const ORDERS = ["rally", "guard", "hunt", "free"];
+
+// Touch mode's action buttons ("touch.<name>" strings); armed ones wait for the next tap in the dish to say where
+const TOUCH_ACTIONS = {
+  attach: { armed: false },
+  deploy: { armed: true },
+  integrate: { armed: true },
+  mutate: { armed: false },
+  induce: { armed: false }
+};
+
+// Pooled display objects come back looking brand new
+function resetDisplay(obj, x, y, texture) {
+  if (texture) obj.setTexture(texture);
+  obj.setPosition(x, y)
+    .setScale(1)
+    .setAlpha(1)
+    .setRotation(0)
+    .setDepth(0)
+    .setActive(true)
+    .setVisible(true);
+  if (obj.clearTint) obj.clearTint();
+  obj.baseAlpha = 1;
+  obj.flashUntil = 0;
+}
 
 export class GameScene extends Phaser.Scene {
   constructor() {
     super({ key: "GameScene" });
   }
 
-  create() {
+  create(data = {}) {
     this.center = new Phaser.Math.Vector2(W / 2, H / 2);
-    this.dishRadius = Math.min(W, H) * 0.44;
+    this.prefs = loadPreferences();
+
+    // Replay mode plays a loaded run back; resume carries on a saved run; otherwise record a new one
+    const replay = data.replay || null;
+    const resume = replay ? null : data.resume || null;
+
+    // Level being played (none = free play on GAME_SETTINGS)
+    this.campaign = getCampaign(this);
+    const saved = replay || resume;
+    const levelId = saved ? saved.level : data.levelId;
+    this.levelIndex = this.campaign.levels.findIndex((l) => l.id === levelId);
+    this.level = this.levelIndex >= 0 ? this.campaign.levels[this.levelIndex] : null;
+
+    // Difficulty scales new runs only: replays and resumed runs keep the rules they were recorded with
+    let settings = GAME_SETTINGS;
+    if (saved) settings = saved.settings;
+    else if (data.mode === "endless") settings = withDifficulty(endlessSettings(), this.prefs.difficulty);
+    else settings = withDifficulty(this.level ? levelSettings(this.level) : GAME_SETTINGS, this.prefs.difficulty);
+
+    // The simulation seeds every gameplay roll for this run
+    if (resume) this.sim = Simulation.restore(settings, resume.sim);
+    else this.sim = new Simulation(settings, replay ? replay.seed : resolveSeed());
+    this.seed = this.sim.seed;
+    this.stepAccumulator = 0;
+
+    // Endless runs are the ones whose rules have waves (so resumes and replays stay endless);
+    // the best endless score so far is the target on the HUD
+    this.endless = this.sim.waves !== null;
+    const best = this.endless ? loadProfile().bests[bestsKey({ level: null, mode: "endless" })] : null;
+    this.bestTarget = best ? best.bestScore : null;
+
+    // Population samples; a continued run keeps the ones taken before it was saved
+    this.population = new PopulationSampler(resume ? resume.population : []);
+    this.population.observe(this.sim);
+
+    // One saved run at a time: starting a new one replaces it
+    if (!saved) clearSavedRun();
+
+    this.replay = replay;
+    this.replayPlayer = replay ? new ReplayPlayer(replay) : null;
+    this.recorder = replay
+      ? null
+      : new ReplayRecorder(this.seed, settings, this.level ? this.level.id : null, resume ? resume.frames : []);
+    this.lastReplay = null;
+    this.pendingClicks = [];
+    this.pendingActions = {};
+    this.touchMode = !replay && touchModeOn(this.game, this.prefs.touchControls);
 
-    // State
-    this.score = 0;
-    this.neededToWin = GAME_SETTINGS.neededToWin;
-    this.loseThreshold = GAME_SETTINGS.loseThreshold;
     this.gameOver = false;
+    this.pausedAt = null;
 
-    // Helpers / difficulty
-    this.maxHelpers = GAME_SETTINGS.maxHelpers;
-    this.killerHelperChance = GAME_SETTINGS.killerHelperChance;
-    this.killerLysisChancePerSec = GAME_SETTINGS.killerLysisChancePerSec;
+    // Accessibility: colours, reduced motion and what has been announced so far
+    this.palette = getPalette(this.prefs.palette);
+    this.calm = this.prefs.reducedMotion;
+    this.scoreMilestone = Math.floor(this.sim.score / this.scoreStep());
+    this.outbreakWarned = false;
+
+    // Lab notebook entries unlocked so far (replays show nothing new, so they unlock nothing)
+    this.codex = replay ? null : loadCodex();
 
     // Music
     this.music = null;
-    this.musicTargetVolume = GAME_SETTINGS.musicTargetVolume;
+    this.musicTargetVolume = this.prefs.musicVolume;
+
+    // Sprites, keyed by simulation entity id, and the pools they are recycled through
+    this.sprites = new Map();
+    this.seenIds = new Set();
+    this.spritePool = new Pool(() => this.add.sprite(0, 0, "particle"), resetDisplay);
+    this.markPool = new Pool(() => this.add.image(0, 0, "prophage"), resetDisplay);
+    this.ringPool = new Pool(() => this.add.image(0, 0, "shock"), resetDisplay);
+    this.labelPool = new Pool(
+      () => this.add.text(0, 0, "", { fontFamily: UI_FONT, fontSize: "13px" }).setOrigin(0.5),
+      resetDisplay
+    );
 
-    // Groups
-    this.bacteria = this.physics.add.group();
-    this.helpers = this.physics.add.group();
+    // Running one-shot effects, advanced by hand in update() instead of one tween each
+    this.effects = [];
     this.particles = this.add.particles(0, 0, "particle", {
       speed: { min: 40, max: 160 },
       lifespan: { min: 250, max: 600 },
@@ -72,15 +202,28 @@ export class GameScene extends Phaser.Scene {
       .setAlpha(0.6);
 
     // Player
-    this.player = this.physics.add.sprite(this.center.x, this.center.y, "phage");
-    this.player.setDamping(true);
-    this.player.setDrag(0.92);
-    this.player.setMaxVelocity(320);
-    this.player.setCollideWorldBounds(false);
+    this.player = this.add.sprite(this.sim.player.x, this.sim.player.y, "phage").setDepth(10);
+    this.tintByFiber(this.player, this.sim.player.fiber);
+
+    // Receptor dots on every cell (redrawn each frame when fibers are in play)
+    this.receptorLayer = this.add.graphics().setDepth(2);
+
+    // Pattern cues for colourblind palettes and reduced motion (redrawn each frame)
+    this.cueLayer = this.add.graphics().setDepth(5);
+
+    // Free virions (redrawn each frame)
+    this.virionLayer = this.add.graphics().setDepth(4);
+
+    // Guard area / rally ring / painted hunt targets (redrawn each frame)
+    this.orderLayer = this.add.graphics().setDepth(1);
+
+    // Debug: helper target claims (redrawn each frame while shown)
+    this.claimLayer = this.add.graphics().setDepth(12);
+    this.showClaims = new URLSearchParams(window.location.search).has("debug");
 
     // UI
     this.uiText = this.add.text(16, 14, "", {
-      fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+      fontFamily: UI_FONT,
       fontSize: "16px",
       color: "#cfe7ff"
     });
@@ -88,25 +231,67 @@ export class GameScene extends Phaser.Scene {
     this.hintText = this.add.text(
       16,
       36,
-      "Tap/click a bacterium to attach → inject → lyse → replicate",
+      replay
+        ? t("hint.replay")
+        : resume
+          ? t("hint.resumed", { seconds: Math.floor(this.sim.elapsedSeconds) })
+          : t(this.touchMode ? "hint.startTouch" : "hint.start"),
       {
-        fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+        fontFamily: UI_FONT,
         fontSize: "14px",
         color: "#9cc6ff"
       }
     ).setAlpha(0.9);
 
     // Injection UI
-    this.injectRing = this.add.image(0, 0, "injectRing").setVisible(false);
-    this.injectFill = this.add.image(0, 0, "injectFill").setVisible(false);
+    this.injectRing = this.add.image(0, 0, "injectRing").setVisible(false).setDepth(11);
+    this.injectFill = this.add.image(0, 0, "injectFill").setVisible(false).setDepth(11);
 
-    // Input
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.keys = this.input.keyboard.addKeys("W,A,S,D,SPACE");
+    // Input (arrow keys and the left stick always swim; everything else follows the saved bindings)
+    this.controls = new InputController(this, this.prefs, (action, device) => this.onInputAction(action, device));
 
+    // Touch mode: taps arrive on release, so a drag can become the joystick instead
+    if (this.touchMode) {
+      this.controls.touch = new TouchControls(this, {
+        onTap: (x, y) => this.clickAt(x, y),
+        enabled: () => !this.gameOver && !this.tutorialPaused
+      });
+    }
+    this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.BACKTICK)
+      .on("down", () => { this.showClaims = !this.showClaims; });
+
+    // Touch buttons for the same orders
+    this.armedAction = null;
+    this.buttonLabels = {};
+    this.orderButtons = replay ? [] : this.buildOrderButtons();
+    if (this.touchMode) this.orderButtons.push(...this.buildTouchButtons());
+
+    const [pauseBg, pauseText] = makeButton(this, W - 36, 34, 46, "II", () => this.pauseGame());
+    this.pauseButton = [pauseBg.setDepth(1001).setAlpha(0.85), pauseText.setDepth(1001)];
+
+    // Population mini-graph (redrawn when a sample is taken) and its toggle
+    const [graphBg, graphText] = makeButton(this, W - 107, 34, 84, t("hud.graphButton"), () => this.toggleGraph());
+    this.graphButton = [graphBg.setDepth(1001).setAlpha(0.85), graphText.setDepth(1001).setFontSize(14)];
+    this.graphLayer = this.add.graphics().setDepth(1001);
+    this.graphLabels = POPULATION_SERIES.map((key, i) => this.add.text(GRAPH_BOX.x + 24, GRAPH_BOX.y + GRAPH_BOX.h + 12 + i * 16, "", {
+      fontFamily: UI_FONT,
+      fontSize: "12px",
+      color: "#cfe7ff"
+    }).setOrigin(0, 0.5).setDepth(1001));
+    this.drawGraph();
+
+    // Prophage markers over lysogens, keyed by bacterium id
+    this.prophageMarks = new Map();
+
+    // Clicks are handed to the next simulation step so the recorder sees them in order
+    // Right-click deploys a helper, so keep the browser menu out of the way
+    this.input.mouse.disableContextMenu();
+    // In touch mode fingers go through TouchControls; the mouse still clicks here
     this.input.on("pointerdown", (p) => {
-      if (this.gameOver || this.tutorialActive) return;
-      this.tryAttachAt(p.worldX, p.worldY);
+      if (this.touchMode && p.wasTouch) return;
+      if (p.rightButtonDown()) this.clickAt(p.worldX, p.worldY, "deploy");
+      else if (p.event && p.event.shiftKey) this.clickAt(p.worldX, p.worldY, "integrate");
+      else this.clickAt(p.worldX, p.worldY);
     });
 
     // --- MUSIC START (browser-safe) ---
@@ -124,39 +309,9 @@ export class GameScene extends Phaser.Scene {
     });
     // --- MUSIC END ---
 
-    // Initial bacteria
-    for (let i = 0; i < 10; i++) this.spawnBacterium();
-
-    // Bacteria reproduction (ramps with time + population)
-    this.elapsedSeconds = 0;
-    this.reproEvent = this.time.addEvent({
-      delay: 1000,
-      loop: true,
-      callback: () => {
-        if (this.gameOver || this.tutorialActive) return;
-
-        const n = this.bacteria.countActive(true);
-
-        const timeRamp = Phaser.Math.Clamp(this.elapsedSeconds / 40, 0, 2.2);
-        const popRamp = Phaser.Math.Clamp(n / 22, 0, 2.0);
-
-        const attempts = 2 + Math.floor(timeRamp + popRamp); // ~2..6
-        for (let i = 0; i < attempts; i++) {
-          const chance = Phaser.Math.Clamp(0.30 + 0.16 * timeRamp + 0.14 * popRamp, 0.30, 0.92);
-          if (Math.random() < chance && n < 110) {
-            this.spawnBacteriumNearExisting();
-          }
-        }
-      }
-    });
-
-    // Injection state
-    this.attachedTarget = null;
-    this.injecting = false;
-    this.injectStartTime = 0;
-    this.baseInjectDuration = GAME_SETTINGS.baseInjectDuration;
-    this.injectDuration = this.baseInjectDuration;
-    this.attachRange = GAME_SETTINGS.attachRange;
+    // Initial bacteria were spawned by the simulation
+    this.handleSimEvents();
+    this.syncSprites();
 
     // Hint fade
     this.tweens.add({
@@ -167,281 +322,872 @@ export class GameScene extends Phaser.Scene {
       ease: "Sine.easeOut"
     });
 
-    this.physics.world.setBounds(0, 0, W, H);
+    // Keep the run when the player steps away (the tab may never come back);
+    // a hidden tab also pauses, so nobody comes back to a lost dish
+    const save = () => this.saveForLater();
+    const hide = () => this.pauseGame();
+    this.game.events.on(Phaser.Core.Events.HIDDEN, hide);
+    this.game.events.on(Phaser.Core.Events.BLUR, save);
+    this.events.on(Phaser.Scenes.Events.PAUSE, save);
+    this.events.on(Phaser.Scenes.Events.RESUME, () => this.resumeGame());
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.game.events.off(Phaser.Core.Events.HIDDEN, hide);
+      this.game.events.off(Phaser.Core.Events.BLUR, save);
+      this.events.off(Phaser.Scenes.Events.PAUSE, save);
+      this.events.off(Phaser.Scenes.Events.RESUME);
+      this.controls.destroy();
+
+      // Quitting mid-run must not leave the music playing over the menus
+      if (this.music) {
+        this.music.destroy();
+        this.music = null;
+      }
+    });
 
-    // Tutorial
-    this.startTutorial();
-  }
+    // Tutorial (skipped when watching a replay or resuming)
+    if (saved) this.tutorialActive = false;
+    else this.startTutorial();
 
-  update(t, dtMs) {
-    if (this.tutorialActive) return;
-    if (this.gameOver) return;
+    announce(t("announce.start", {
+      level: this.level ? levelName(this.level) : t(this.endless ? "common.endless" : "common.freePlay"),
+      goal: this.winLoseText().replace("\n", " ")
+    }));
+  }
 
-    this.elapsedSeconds += dtMs / 1000;
-    const dt = dtMs / 1000;
+  // Personal bests for this level after the run just recorded
+  bestsLine(record) {
+    const b = record.bests;
+    if (record.newFastestWin && b.wins > 1) return t("bests.newFastestWin", { seconds: b.fastestWin.toFixed(1) });
+    if (record.newBestScore && b.plays > 1) return t("bests.newBestScore", { score: b.bestScore });
 
-    this.handleMovement(dt);
-    this.constrainToDish(this.player);
+    const parts = [t("bests.bestScore", { score: b.bestScore })];
+    if (b.fastestWin !== null) parts.push(t("bests.fastestWin", { seconds: b.fastestWin.toFixed(1) }));
+    if (!this.endless) parts.push(t("bests.won", { wins: b.wins, plays: b.plays }));
+    return parts.join("   ·   ");
+  }
 
-    this.helpers.children.iterate((h) => {
-      if (!h || !h.active) return;
-      helperBrain(this, h, dt);
-      this.constrainToDish(h);
-    });
+  // Live runs only; a finished run has nothing left to continue
+  saveForLater() {
+    if (!this.recorder || this.gameOver) return;
 
-    this.bacteria.children.iterate((b) => {
-      if (!b || !b.active) return;
-      bacteriaDrift(this, b, dt);
-      this.constrainToDish(b);
+    saveRun({
+      level: this.recorder.level,
+      settings: this.recorder.settings,
+      frames: this.recorder.frames,
+      sim: this.sim.snapshot(),
+      population: this.population.samples
     });
+  }
 
-    if (this.injecting && this.attachedTarget && this.attachedTarget.active) {
-      const elapsed = t - this.injectStartTime;
-      const p = Phaser.Math.Clamp(elapsed / this.injectDuration, 0, 1);
+  queueAction(name) {
+    if (this.gameOver || this.tutorialPaused || this.replayPlayer) return;
+    this.pendingActions[name] = true;
+  }
 
-      this.player.body.setVelocity(0, 0);
-      this.player.x = this.attachedTarget.x;
-      this.player.y = this.attachedTarget.y;
+  // A click / tap in the dish: attaches, or places the armed action (or the given one) there
+  clickAt(x, y, action = null) {
+    if (this.gameOver || this.tutorialPaused || this.replayPlayer) return;
+    this.pendingClicks.push({ x: Math.round(x), y: Math.round(y) });
 
-      this.injectRing
-        .setVisible(true)
-        .setPosition(this.attachedTarget.x, this.attachedTarget.y)
-        .setAlpha(0.85);
+    if (this.armedAction) {
+      this.pendingActions[this.armedAction] = true;
+      this.armAction(null);
+    } else if (action) {
+      this.pendingActions[action] = true;
+    }
+  }
 
-      this.injectFill
-        .setVisible(true)
-        .setPosition(this.attachedTarget.x, this.attachedTarget.y)
-        .setAlpha(0.95);
+  // Placed actions (deploy, guard, hunt) land at a point, handed over as a click
+  queueAt(name, x, y) {
+    if (this.gameOver || this.tutorialPaused || this.replayPlayer) return;
+    this.pendingClicks.push({ x: Math.round(x), y: Math.round(y) });
+    this.pendingActions[name] = true;
+  }
 
-      this.injectFill.setScale(0.6 + 0.8 * p);
+  // Named actions from systems/input.js. The keyboard aims at the mouse; a
+  // gamepad has no pointer, so it aims at the player
+  onInputAction(action, device) {
+    if (this.tutorialPaused) {
+      if (device === "gamepad") this._tutorialAdvance();
+      return;
+    }
 
-      if (p >= 1) {
-        this.lysis(this.attachedTarget);
-        this.stopInjecting();
+    if (action === "pause") {
+      this.pauseGame();
+    } else if (action === "graph") {
+      this.toggleGraph();
+    } else if (action === "deploy" || action === "guard" || action === "hunt") {
+      if (device === "gamepad") {
+        this.queueAt(action, this.sim.player.x, this.sim.player.y);
+      } else {
+        const p = this.input.activePointer;
+        this.queueAt(action, p.worldX, p.worldY);
       }
-    } else if (this.injecting) {
-      this.stopInjecting();
+    } else if (action === "integrate") {
+      this.queueAction("attach");
+      this.queueAction("integrate");
+    } else {
+      this.queueAction(action === "free" ? "release" : action);
     }
+  }
 
-    const alive = this.bacteria.countActive(true);
-    if (this.score >= this.neededToWin) {
-      this.endGame(true);
-    } else if (alive >= this.loseThreshold) {
-      this.endGame(false);
-    }
+  // Key bound to an action (and its button while a gamepad is connected), for hints and the tutorial;
+  // in touch mode, the on-screen button for it
+  keyFor(action) {
+    if (this.touchMode && TOUCH_ACTIONS[action]) return t(`touch.${action}`);
 
-    this.uiText.setText(
-      `Score: ${this.score}/${this.neededToWin}   Bacteria: ${alive}   Phages: ${1 + this.helpers.countActive(true)}`
-    );
+    const key = keyLabel(this.prefs.bindings[action]);
+    const button = this.prefs.padBindings[action];
+    if (!this.controls.pad || button === undefined) return key;
+    return `${key} / ${padLabel(button)}`;
   }
 
-  handleMovement(dt) {
-    if (this.injecting) return;
+  // Freezes the run under PauseScene; returns false when there is nothing to pause
+  pauseGame() {
+    if (this.gameOver || this.tutorialPaused || !this.scene.isActive()) return false;
 
-    const speed = 520;
-    let ax = 0, ay = 0;
+    this.armAction(null);
+    if (this.controls.touch) this.controls.touch.reset();
+    this.pausedAt = this.time.now;
+    if (this.music && this.music.isPlaying) this.music.pause();
 
-    const left = this.cursors.left.isDown || this.keys.A.isDown;
-    const right = this.cursors.right.isDown || this.keys.D.isDown;
-    const up = this.cursors.up.isDown || this.keys.W.isDown;
-    const down = this.cursors.down.isDown || this.keys.S.isDown;
+    this.scene.pause();
+    this.scene.launch("PauseScene", { live: Boolean(this.recorder) });
+    return true;
+  }
 
-    if (left) ax -= 1;
-    if (right) ax += 1;
-    if (up) ay -= 1;
-    if (down) ay += 1;
+  resumeGame() {
+    this.stepAccumulator = 0;
+
+    // Settings may have changed while paused
+    this.prefs = loadPreferences();
+    this.musicTargetVolume = this.prefs.musicVolume;
+    this.controls.setPreferences(this.prefs);
+    this.calm = this.prefs.reducedMotion;
+    this.applyPalette(getPalette(this.prefs.palette));
+    for (const name in this.buttonLabels) this.buttonLabels[name].setText(this.buttonLabel(name));
+    this.graphButton[1].setText(t("hud.graphButton"));
+    this.drawGraph();
+
+    if (this.music && this.music.isPaused) {
+      this.music.resume();
+      this.music.setVolume(this.musicTargetVolume);
+    }
+  }
 
-    const v = new Phaser.Math.Vector2(ax, ay);
-    if (v.lengthSq() > 0) v.normalize().scale(speed);
+  // SettingsScene already redrew the textures; tints are set per sprite, so they are redone here
+  applyPalette(palette) {
+    this.palette = palette;
+    this.tintByFiber(this.player, this.sim.player.fiber);
 
-    this.player.body.setAcceleration(v.x, v.y);
+    for (const h of this.sim.helpers) {
+      const sprite = this.sprites.get(h.id);
+      if (sprite) this.tintHelper(sprite, h);
+    }
+    for (const k of this.sim.pickups) {
+      const sprite = this.sprites.get(k.id);
+      if (sprite) this.tintByFiber(sprite, k.fiber);
+    }
+  }
+
+  // The scene clock jumps ahead by the paused time on its first update after
+  // resuming, so running effects and flashes move their timers along with it
+  shiftPausedTimers() {
+    const pausedFor = this.time.now - this.pausedAt;
+    this.pausedAt = null;
+
+    for (const fx of this.effects) fx.start += pausedFor;
+    for (const sprite of this.sprites.values()) {
+      if (sprite.flashUntil) sprite.flashUntil += pausedFor;
+    }
+  }
+
+  // Order buttons show their key too, except in touch mode; touch buttons only have a name
+  buttonLabel(name) {
+    if (TOUCH_ACTIONS[name]) return t(`touch.${name}`);
+    const label = t(`order.${name}.name`);
+    if (this.touchMode) return label;
+    return t("order.button", { name: label, key: keyLabel(this.prefs.bindings[name]) });
+  }
+
+  // HUD note for mutate / induce once it is off cooldown
+  readyHint(action) {
+    return this.touchMode ? t(`hud.${action}ReadyTouch`) : t(`hud.${action}Ready`, { key: this.keyFor(action) });
+  }
+
+  // Rally / Guard / Hunt / Free along the bottom edge, for touch (and mouse) players
+  buildOrderButtons() {
+    const w = 84;
+    const gap = 6;
+    const names = ORDERS;
+    let x = W - 16 - names.length * (w + gap) + gap + w / 2;
+
+    const objects = [];
+    for (const name of names) {
+      const onClick = () => {
+        if (this.gameOver || this.tutorialPaused) return;
+        if (name === "guard" || name === "hunt") {
+          this.armAction(this.armedAction === name ? null : name);
+        } else {
+          this.armAction(null);
+          this.queueAction(name === "free" ? "release" : name);
+        }
+      };
+
+      const [bg, text] = makeButton(this, x, H - 32, w, this.buttonLabel(name), onClick);
+      bg.setDepth(1001).setAlpha(0.85);
+      text.setDepth(1001).setFontSize(14);
+      this.buttonLabels[name] = text;
+      objects.push(bg, text);
+      x += w + gap;
+    }
+    return objects;
+  }
 
-    const vel = this.player.body.velocity;
-    if (vel.lengthSq() > 20) {
-      this.player.rotation = Phaser.Math.Angle.RotateTo(
-        this.player.rotation,
-        Phaser.Math.Angle.Between(0, 0, vel.x, vel.y),
-        6 * dt
-      );
+  // Attach / Deploy / Integrate / Mutate / Induce along the bottom-left edge, in touch mode
+  buildTouchButtons() {
+    const w = 84;
+    const gap = 6;
+    const names = ["attach"];
+    if (this.sim.burst) names.push("deploy");
+    if (this.sim.lysogeny) names.push("integrate", "induce");
+    if (this.sim.resistance) names.push("mutate");
+    let x = 16 + w / 2;
+
+    const objects = [];
+    for (const name of names) {
+      const onClick = () => {
+        if (this.gameOver || this.tutorialPaused) return;
+        if (TOUCH_ACTIONS[name].armed) {
+          this.armAction(this.armedAction === name ? null : name);
+        } else {
+          this.armAction(null);
+          this.queueAction(name);
+        }
+      };
+
+      const [bg, text] = makeButton(this, x, H - 32, w, this.buttonLabel(name), onClick);
+      bg.setDepth(1001).setAlpha(0.85);
+      text.setDepth(1001).setFontSize(14);
+      this.buttonLabels[name] = text;
+      objects.push(bg, text);
+      x += w + gap;
     }
+    return objects;
   }
 
-  tryAttachAt(x, y) {
-    if (this.injecting) return;
+  // Guard / Hunt (and in touch mode Deploy / Integrate) wait for the next tap in the dish to say where
+  armAction(name) {
+    this.armedAction = name;
+    for (const key in this.buttonLabels) {
+      this.buttonLabels[key].setColor(key === name ? "#ffd36b" : "#e8f3ff");
+    }
+  }
 
-    let best = null;
-    let bestD2 = Infinity;
+  update(t, dtMs) {
+    if (this.pausedAt !== null) this.shiftPausedTimers();
+    this.updateEffects();
+    if (this.tutorialPaused) return;
+    if (this.gameOver) return;
 
-    this.bacteria.children.iterate((b) => {
-      if (!b || !b.active) return;
-      const d2 = Phaser.Math.Distance.Squared(x, y, b.x, b.y);
-      if (d2 < bestD2) {
-        bestD2 = d2;
-        best = b;
+    // The Simulation only advances in whole SIM_DT steps: real frame time
+    // accumulates here, and queued clicks and actions go to the next step
+    const speed = this.tutorialActive ? TUTORIAL_SPEED : 1;
+    this.stepAccumulator += (Math.min(dtMs, MAX_FRAME_MS) / 1000) * speed;
+
+    const move = this.replayPlayer ? null : this.controls.readMove();
+    const sampled = this.population.samples.length;
+    while (this.stepAccumulator >= SIM_DT && !this.sim.gameOver) {
+      this.stepAccumulator -= SIM_DT;
+
+      const input = this.nextInput(move);
+      if (!input) {
+        // Replay ran out of steps without reaching an end: it no longer matches this build
+        this.sim.end(false, "replayEnded");
+        break;
       }
-    });
+      this.sim.step(input);
+      this.population.observe(this.sim);
+    }
+    if (this.population.samples.length !== sampled) this.drawGraph();
 
-    if (!best) return;
+    if (this.tutorialActive) this.followTutorialTask();
+    this.handleSimEvents();
+    this.syncSprites();
+    this.drawInjection();
 
-    const distToPlayer = Phaser.Math.Distance.Between(this.player.x, this.player.y, best.x, best.y);
-    if (distToPlayer > this.attachRange) {
-      this.tweens.add({ targets: best, scale: 1.18, yoyo: true, duration: 90 });
-      return;
+    this.uiText.setText(this.hudText());
+
+    if (this.sim.gameOver) this.endGame(this.sim.result.won);
+    else this.announceProgress();
+  }
+
+  hudText() {
+    const sim = this.sim;
+    const parts = [];
+
+    if (this.replayPlayer) parts.push(t("hud.replay"));
+    if (this.level) parts.push(levelName(this.level));
+    if (this.endless) {
+      parts.push(sim.onBreather
+        ? t("hud.breather", { wave: sim.wave + 1, seconds: Math.ceil(sim.wavePhaseLeft) })
+        : t("hud.wave", { wave: sim.wave }));
+    }
+    if (sim.neededToWin !== null) parts.push(t("hud.scoreOf", { score: sim.score, target: sim.neededToWin }));
+    else if (this.bestTarget !== null) parts.push(t("hud.scoreBest", { score: sim.score, best: this.bestTarget }));
+    else parts.push(t("hud.score", { score: sim.score }));
+    if (sim.comboMultiplier > 1) parts.push(t("hud.combo", { multiplier: sim.comboMultiplier }));
+    parts.push(t("hud.bacteria", { count: sim.bacteria.length }));
+    parts.push(t("hud.phages", { count: 1 + sim.helpers.length }));
+    if (sim.burst) parts.push(t("hud.virions", { count: sim.virions.length }));
+
+    const left = sim.secondsLeft;
+    if (left !== null) parts.push(t(sim.surviveSeconds !== null ? "hud.survive" : "hud.time", { seconds: Math.ceil(left) }));
+
+    if (sim.resistance) {
+      const ready = sim.canMutate
+        ? this.readyHint("mutate")
+        : t("hud.mutateIn", { seconds: Math.ceil(sim.mutateCooldownLeft) });
+      parts.push(t("hud.strain", { strain: sim.player.strain, ready }));
     }
 
-    this.startInjecting(best);
+    if (sim.tailFibers) parts.push(t("hud.fiber", { fiber: getReceptor(sim.player.fiber).name }));
+
+    if (sim.helperOrder.type !== "free") parts.push(t("hud.helpers", { order: t(`order.${sim.helperOrder.type}.name`) }));
+    if (this.armedAction) parts.push(t(`hud.armed.${this.armedAction}`));
+
+    if (this.showClaims) {
+      let owned = 0;
+      for (const h of sim.helpers) if (h.claim && h.claim.claimedBy === h) owned++;
+      parts.push(`[claims ${owned} own / ${sim.helpers.length} helpers]`);
+    }
+
+    if (sim.lysogeny) {
+      const lysogens = sim.lysogenCount;
+      const ready = sim.canInduce
+        ? this.readyHint("induce")
+        : t("hud.induceIn", { seconds: Math.ceil(sim.induceCooldownLeft) });
+      if (lysogens > 0 || !sim.canInduce) parts.push(t("hud.lysogens", { count: lysogens, ready }));
+    }
+
+    return parts.join("   ");
+  }
+
+  scoreStep() {
+    const target = this.sim.neededToWin;
+    return target !== null ? Math.max(1, Math.ceil(target / 4)) : SCORE_ANNOUNCE_STEP;
   }
 
-  startInjecting(bacterium) {
-    if (!bacterium || !bacterium.active) return;
+  // Screen-reader updates: score milestones, and an outbreak warning once per surge
+  announceProgress() {
+    const sim = this.sim;
 
-    this.attachedTarget = bacterium;
-    this.injecting = true;
+    const milestone = Math.floor(sim.score / this.scoreStep());
+    if (milestone > this.scoreMilestone) {
+      this.scoreMilestone = milestone;
+      announce(sim.neededToWin !== null
+        ? t("announce.scoreOf", { score: sim.score, target: sim.neededToWin })
+        : t("announce.score", { score: sim.score }));
+    }
 
-    const n = this.bacteria.countActive(true);
-    this.injectDuration = this.baseInjectDuration + Math.min(900, n * 18);
+    const share = sim.bacteria.length / sim.loseThreshold;
+    if (!this.outbreakWarned && share >= OUTBREAK_WARN_SHARE) {
+      this.outbreakWarned = true;
+      announce(t("announce.outbreak", { count: sim.bacteria.length, threshold: sim.loseThreshold }), { urgent: true });
+    } else if (this.outbreakWarned && share < OUTBREAK_CLEAR_SHARE) {
+      this.outbreakWarned = false;
+    }
+  }
 
-    this.injectStartTime = this.time.now;
+  toggleGraph() {
+    this.prefs.showGraph = !this.prefs.showGraph;
+    savePreferences(this.prefs);
+    this.drawGraph();
+  }
 
-    bacterium.setData("infected", true);
-    this.tweens.add({
-      targets: bacterium,
-      angle: { from: -4, to: 4 },
-      duration: 70,
-      yoyo: true,
-      repeat: 8
+  // Mini-graph of the whole run so far, with the latest counts as its legend
+  drawGraph() {
+    const shown = this.prefs.showGraph && !this.gameOver;
+    const g = this.graphLayer.clear().setVisible(shown);
+    for (const label of this.graphLabels) label.setVisible(shown);
+    if (!shown) return;
+
+    const samples = this.population.samples;
+    const last = samples[samples.length - 1];
+    drawPopulationChart(g, samples, GRAPH_BOX, this.palette.chart);
+    POPULATION_SERIES.forEach((key, i) => {
+      const label = this.graphLabels[i];
+      drawSwatch(g, key, GRAPH_BOX.x, label.y, this.palette.chart);
+      label.setText(t(`graph.${key}`, { count: last ? last[key] : 0 }));
     });
+  }
+
+  // Input for the next simulation step: recorded live, or read back from the replay
+  nextInput(move) {
+    if (this.replayPlayer) return this.replayPlayer.next();
 
-    this.tweens.add({ targets: this.player, scale: 1.12, yoyo: true, duration: 120 });
+    const input = { move, clicks: this.pendingClicks.splice(0), actions: this.pendingActions };
+    if (this.tutorialActive) input.actions.practice = true;
+    this.pendingActions = {};
+    this.recorder.record(input);
+    return input;
   }
 
-  stopInjecting() {
-    this.injecting = false;
-    if (this.attachedTarget) this.attachedTarget.setData("infected", false);
-    this.attachedTarget = null;
-    this.injectRing.setVisible(false);
-    this.injectFill.setVisible(false);
-    this.injectFill.setScale(1);
+  // ---------------------------- Rendering ----------------------------
+
+  handleSimEvents() {
+    for (const ev of this.sim.events) {
+      if (this.codex) this.unlockEntries(ev);
+      if (ev.type in SFX_FOR_EVENT) playSfx(this, SFX_FOR_EVENT[ev.type], this.prefs.sfxVolume);
+
+      if (ev.type === "bacteriumSpawned") this.addBacteriumSprite(ev.entity, ev.parent);
+      else if (ev.type === "helperSpawned") this.addHelperSprite(ev.entity);
+      else if (ev.type === "attachMissed") this.pulse(ev.entity);
+      else if (ev.type === "attachBlocked") this.showBlocked(ev);
+      else if (ev.type === "spacerAcquired") this.flashSprite(ev.entity, this.palette.spacer);
+      else if (ev.type === "phageMutated") {
+        this.floatText(this.sim.player.x, this.sim.player.y - 30, t("float.mutated", { strain: ev.strain }), "#c9ffea");
+        this.pop(this.player, 1.25, 160);
+      }
+      else if (ev.type === "injectStarted") {
+        this.pop(this.player, 1.12, 120);
+      } else if (ev.type === "integrated") {
+        this.flashSprite(ev.entity, this.palette.prophage);
+        this.floatText(ev.entity.x, ev.entity.y - 26, t("float.integrated"), "#ffc2f0");
+      } else if (ev.type === "induced") this.playInduction(ev);
+      else if (ev.type === "pickupSpawned") this.addPickupSprite(ev.entity);
+      else if (ev.type === "deployed") this.playDeploy(ev);
+      else if (ev.type === "deployFailed") {
+        const why = ev.reason === "helpers"
+          ? t("float.helperLimit", { max: this.sim.maxHelpers })
+          : t("float.needVirions", { count: this.sim.burst.deployCost });
+        this.floatText(ev.x, ev.y - 20, why, "#ff9b9b");
+      }
+      else if (ev.type === "fiberChanged") {
+        this.tintByFiber(this.player, ev.fiber);
+        this.floatText(this.sim.player.x, this.sim.player.y - 30, t("float.fiber", { fiber: getReceptor(ev.fiber).name }), "#c9ffea");
+        this.pop(this.player, 1.2, 140);
+      }
+      else if (ev.type === "helperOrder") this.showOrder(ev);
+      else if (ev.type === "helperOrderFailed") {
+        this.floatText(ev.x, ev.y - 20, t("float.noHuntTargets"), "#ff9b9b");
+      }
+      else if (ev.type === "huntCleared") {
+        this.floatText(this.sim.player.x, this.sim.player.y - 30, t("float.huntCleared"), "#c9ffea");
+      }
+      else if (ev.type === "lysis") this.playLysis(ev.entity);
+      else if (ev.type === "combo") {
+        this.floatText(this.sim.player.x, this.sim.player.y - 30, t("float.combo", { multiplier: ev.multiplier }), "#ffd36b");
+      }
+      else if (ev.type === "breather") {
+        this.floatText(this.center.x, this.center.y - 40, t("float.breather", { wave: ev.wave }), "#c9ffea");
+        announce(t("announce.breather", { wave: ev.wave, seconds: this.sim.waves.breather }));
+      }
+      else if (ev.type === "waveStarted") {
+        this.floatText(this.center.x, this.center.y - 40, t("float.wave", { wave: ev.wave }), "#ff9b9b");
+        announce(t("announce.wave", { wave: ev.wave, count: ev.count }));
+      }
+    }
+    this.sim.events.length = 0;
   }
 
-  lysis(b) {
-    if (!b || !b.active) return;
+  addBacteriumSprite(b, parent) {
+    const sprite = this.spritePool.acquire(b.x, b.y, getSpecies(b.species).texture);
+    // Cosmetic randomness uses Phaser.Math, never the sim's seeded rng
+    const scale = Phaser.Math.FloatBetween(0.85, 1.15);
 
-    this.particles.emitParticleAt(b.x, b.y, 26);
-    b.disableBody(true, true);
+    sprite.baseAlpha = parent ? 1 : Phaser.Math.FloatBetween(0.85, 1.0);
+    sprite.setAlpha(sprite.baseAlpha);
 
-    this.score += 1;
+    if (parent && !this.calm) {
+      sprite.setScale(0.2);
+      this.tweens.add({ targets: sprite, scale, duration: 180, ease: "Back.easeOut" });
+    } else {
+      sprite.setScale(scale);
+    }
 
-    // Spawn 2 helper phages per lysis (capped)
-    for (let i = 0; i < 2; i++) {
-      if (this.helpers.countActive(true) >= this.maxHelpers) break;
-      this.spawnHelperPhageNear(b.x, b.y);
+    this.sprites.set(b.id, sprite);
+  }
+
+  addHelperSprite(h) {
+    const sprite = this.spritePool.acquire(h.x, h.y, h.killer ? "helperKiller" : "helper");
+    sprite.setScale(Phaser.Math.FloatBetween(0.85, 1.05));
+    sprite.setAlpha(0.95);
+    this.tintHelper(sprite, h);
+
+    this.sprites.set(h.id, sprite);
+  }
+
+  tintHelper(sprite, h) {
+    if (h.killer) sprite.setTint(this.palette.killer);
+    else this.tintByFiber(sprite, h.fiber);
+  }
+
+  addPickupSprite(k) {
+    const sprite = this.spritePool.acquire(k.x, k.y, "fiberPickup").setDepth(3);
+    this.tintByFiber(sprite, k.fiber);
+    if (!this.calm) {
+      sprite.setScale(0.2);
+      this.tweens.add({ targets: sprite, scale: 1, duration: 220, ease: "Back.easeOut" });
     }
+    this.sprites.set(k.id, sprite);
+  }
 
-    const shock = this.add.image(b.x, b.y, "shock").setAlpha(0.7);
-    shock.setScale(0.2);
-    this.tweens.add({
-      targets: shock,
-      scale: 1.2,
-      alpha: 0,
-      duration: 320,
-      ease: "Sine.easeOut",
-      onComplete: () => shock.destroy()
+  tintByFiber(sprite, fiber) {
+    const color = this.receptorColor(fiber);
+    if (color !== null) sprite.setTint(color);
+  }
+
+  // The palette's colour for a receptor / fiber type, or null for unknown types
+  receptorColor(key) {
+    const receptor = getReceptor(key);
+    if (!receptor) return null;
+    return key in this.palette.receptors ? this.palette.receptors[key] : receptor.color;
+  }
+
+  // Quick scale bounce; reduced motion leaves the sprite still
+  pop(target, scale, duration) {
+    if (this.calm) return;
+    this.tweens.add({ targets: target, scale, yoyo: true, duration });
+  }
+
+  pulse(b) {
+    const sprite = this.sprites.get(b.id);
+    if (sprite) this.pop(sprite, sprite.scale * 1.18, 90);
+  }
+
+  showBlocked(ev) {
+    this.flashSprite(ev.entity, this.palette.blocked);
+    this.pulse(ev.entity);
+    if (ev.by !== "player") return;
+
+    const params = {
+      receptor: (getReceptor(ev.entity.receptorType) || {}).name,
+      key: this.keyFor(ev.reason === "prophage" ? "induce" : "mutate")
+    };
+    this.floatText(ev.entity.x, ev.entity.y - 26, t(`blocked.${ev.reason}`, params), "#ff9b9b");
+  }
+
+  flashSprite(entity, color) {
+    const sprite = this.sprites.get(entity.id);
+    if (!sprite) return;
+
+    sprite.flashUntil = this.time.now + 260;
+    sprite.setTint(color);
+  }
+
+  // First sighting of something the notebook explains: unlock and say so
+  unlockEntries(ev) {
+    const found = discoveriesFor(ev, this.codex);
+    if (found.length === 0) return;
+
+    // One announcement for all of them: a second one would cut the first off
+    const messages = found.map((id, i) => {
+      this.codex.add(id);
+      const message = t("codex.new", { title: t(`codex.${id}.title`) });
+      this.floatText(this.sim.player.x, this.sim.player.y - 52 - i * 18, message, "#ffd36b");
+      return message;
     });
+    announce(messages.join(" "));
+    saveCodex(this.codex);
   }
 
-  spawnBacterium() {
-    const p = randomPointInDish(this.center, this.dishRadius * 0.92);
-    const b = this.bacteria.create(p.x, p.y, "bacterium");
-    b.setCircle(16);
-    b.setBounce(0.8);
-    b.setDrag(0.2, 0.2);
-    b.setMaxVelocity(85);
-    b.setData("infected", false);
+  floatText(x, y, message, color) {
+    const text = this.labelPool.acquire(x, y).setText(message).setColor(color).setDepth(20);
 
-    b.body.setVelocity(Phaser.Math.Between(-45, 45), Phaser.Math.Between(-45, 45));
-    b.setScale(Phaser.Math.FloatBetween(0.85, 1.15));
-    b.setAlpha(Phaser.Math.FloatBetween(0.85, 1.0));
+    // Hold for 500 ms, then rise and fade over 700 ms
+    this.playEffect(text, this.labelPool, 1200, (t) => {
+      const k = Phaser.Math.Easing.Sine.In(Math.max(0, (t * 1200 - 500) / 700));
+      text.setY(y - 24 * k).setAlpha(1 - k);
+    });
+  }
 
-    return b;
+  playDeploy(ev) {
+    const ring = this.ringPool.acquire(ev.x, ev.y).setTint(0x9cc6ff);
+    this.playEffect(ring, this.ringPool, 260, (t) => {
+      const k = Phaser.Math.Easing.Sine.In(t);
+      ring.setScale(this.calm ? 0.6 : 0.6 - 0.45 * k).setAlpha(0.6 * (1 - k));
+    });
   }
 
-  spawnBacteriumNearExisting() {
-    const list = this.bacteria.getChildren().filter((x) => x.active);
-    if (list.length === 0) return this.spawnBacterium();
+  showOrder(ev) {
+    const pointed = ev.order === "guard" || ev.order === "hunt";
+    const at = pointed ? ev : this.sim.player;
+    this.floatText(at.x, at.y - 30, t(`order.${ev.order}.said`), "#9cc6ff");
+    if (!pointed) return;
+
+    const ring = this.ringPool.acquire(ev.x, ev.y).setTint(ev.order === "hunt" ? this.palette.hunt : 0x9cc6ff);
+    const scale = ORDER_RADIUS[ev.order] / 48;
+    this.playEffect(ring, this.ringPool, 300, (t) => {
+      const k = Phaser.Math.Easing.Sine.Out(t);
+      ring.setScale(this.calm ? scale : scale * (0.4 + 0.6 * k)).setAlpha(0.6 * (1 - k));
+    });
+  }
 
-    const parent = Phaser.Utils.Array.GetRandom(list);
-    const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-    const r = Phaser.Math.FloatBetween(18, 44);
-    const p = new Phaser.Math.Vector2(parent.x + Math.cos(angle) * r, parent.y + Math.sin(angle) * r);
+  // Runs animate(t) with t going 0 -> 1 over duration ms, then returns obj to pool
+  playEffect(obj, pool, duration, animate) {
+    animate(0);
+    this.effects.push({ obj, pool, start: this.time.now, duration, animate });
+  }
 
-    const clamped = clampToDishPoint(this.center, this.dishRadius * 0.92, p);
+  updateEffects() {
+    const now = this.time.now;
+    let kept = 0;
 
-    const b = this.bacteria.create(clamped.x, clamped.y, "bacterium");
-    b.setCircle(16);
-    b.setBounce(0.8);
-    b.setDrag(0.2, 0.2);
-    b.setMaxVelocity(85);
-    b.setData("infected", false);
-    b.body.setVelocity(Phaser.Math.Between(-40, 40), Phaser.Math.Between(-40, 40));
+    for (const fx of this.effects) {
+      const t = Math.min(1, (now - fx.start) / fx.duration);
+      fx.animate(t);
 
-    b.setScale(0.2);
-    this.tweens.add({
-      targets: b,
-      scale: Phaser.Math.FloatBetween(0.85, 1.15),
-      duration: 180,
-      ease: "Back.easeOut"
+      if (t < 1) {
+        this.effects[kept++] = fx;
+      } else {
+        fx.obj.setActive(false).setVisible(false);
+        fx.pool.release(fx.obj);
+      }
+    }
+    this.effects.length = kept;
+  }
+
+  releaseSprite(sprite, pool) {
+    this.tweens.killTweensOf(sprite);
+    sprite.setActive(false).setVisible(false);
+    pool.release(sprite);
+  }
+
+  playInduction(ev) {
+    if (!this.calm) this.cameras.main.flash(220, 255, 122, 217, false);
+
+    const bonus = ev.points - ev.count;
+    const label = bonus > 0
+      ? t("float.inducedBatch", { count: ev.count, points: ev.points, bonus })
+      : t("float.induced", { count: ev.count, points: ev.points });
+    this.floatText(this.sim.player.x, this.sim.player.y - 34, label, "#ffc2f0");
+  }
+
+  playLysis(b) {
+    this.particles.emitParticleAt(b.x, b.y, this.calm ? 6 : 26);
+
+    const shock = this.ringPool.acquire(b.x, b.y);
+    this.playEffect(shock, this.ringPool, 320, (t) => {
+      const k = Phaser.Math.Easing.Sine.Out(t);
+      shock.setScale(this.calm ? 0.8 : 0.2 + k).setAlpha(0.7 * (1 - k));
     });
+  }
+
+  // Move every sprite to its entity; drop sprites whose entity is gone
+  syncSprites() {
+    const sim = this.sim;
+    const wobble = this.calm ? 0 : Math.sin(this.time.now * 0.09) * 0.07;
+    const seen = this.seenIds;
+    seen.clear();
+
+    for (const b of sim.bacteria) {
+      const sprite = this.sprites.get(b.id);
+      if (!sprite) continue;
+      sprite.setPosition(b.x, b.y);
+      sprite.rotation = b.rotation + (b.infected ? wobble : 0);
+      seen.add(b.id);
+
+      if (b.prophage !== null) this.placeProphageMark(b);
+
+      // Cells the player's current strain can't infect look steely (lysogens have their mark)
+      if (sprite.flashUntil && this.time.now < sprite.flashUntil) continue;
+      const reason = sim.infectionBlock(b, sim.player);
+      if (reason === "receptor" || reason === "crispr") sprite.setTint(this.palette.resisted);
+      else sprite.clearTint();
+
+      // Cells the player's fiber can't bind fade back
+      sprite.setAlpha(reason === "fiber" ? 0.4 : sprite.baseAlpha);
+    }
+
+    for (const h of sim.helpers) {
+      const sprite = this.sprites.get(h.id);
+      if (!sprite) continue;
+      sprite.setPosition(h.x, h.y);
+      sprite.rotation = h.rotation;
+      seen.add(h.id);
+    }
+
+    // Pickups pulse, then blink out over their last seconds (or fade, with reduced motion)
+    for (const k of sim.pickups) {
+      const sprite = this.sprites.get(k.id);
+      if (!sprite) continue;
+      seen.add(k.id);
+      if (this.calm) {
+        sprite.setAlpha(k.ttl < 3 ? 0.35 + 0.65 * (k.ttl / 3) : 1);
+        continue;
+      }
+      sprite.rotation = this.time.now * 0.002;
+      sprite.setAlpha(k.ttl < 3 && Math.floor(this.time.now / 150) % 2 === 0 ? 0.35 : 1);
+    }
+
+    this.drawReceptorDots();
+    this.drawCues();
+    this.drawVirions();
+    this.drawOrder();
+    this.drawClaims();
+
+    for (const [id, sprite] of this.sprites) {
+      if (seen.has(id)) continue;
+      this.releaseSprite(sprite, this.spritePool);
+      this.sprites.delete(id);
+    }
+
+    for (const [id, mark] of this.prophageMarks) {
+      if (seen.has(id)) continue;
+      this.releaseSprite(mark, this.markPool);
+      this.prophageMarks.delete(id);
+    }
 
-    return b;
+    this.player.setPosition(sim.player.x, sim.player.y);
+    this.player.rotation = sim.player.rotation;
   }
 
-  spawnHelperPhageNear(x, y) {
-    const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-    const r = Phaser.Math.FloatBetween(10, 30);
-    const p = new Phaser.Math.Vector2(x + Math.cos(angle) * r, y + Math.sin(angle) * r);
+  drawReceptorDots() {
+    const g = this.receptorLayer;
+    g.clear();
+    if (!this.sim.tailFibers) return;
 
-    const h = this.helpers.create(p.x, p.y, "helper");
-    h.setCircle(12);
-    h.setDamping(true);
-    h.setDrag(0.90);
-    h.setMaxVelocity(190);
-    h.setScale(Phaser.Math.FloatBetween(0.85, 1.05));
-    h.setAlpha(0.95);
+    for (const b of this.sim.bacteria) {
+      const receptor = getReceptor(b.receptorType);
+      if (!receptor) continue;
+      g.fillStyle(this.receptorColor(b.receptorType), 0.95);
+      this.fillShape(g, receptor.shape, b.x + 12, b.y - 12, 4);
+    }
+  }
 
-    h.setData("wanderAngle", Phaser.Math.FloatBetween(0, Math.PI * 2));
+  // Receptor dot in its shape, centred on x, y
+  fillShape(g, shape, x, y, r) {
+    if (shape === "square") g.fillRect(x - r * 0.85, y - r * 0.85, r * 1.7, r * 1.7);
+    else if (shape === "triangle") g.fillTriangle(x, y - r * 1.2, x - r * 1.1, y + r * 0.8, x + r * 1.1, y + r * 0.8);
+    else g.fillCircle(x, y, r);
+  }
 
-    const isKiller = Math.random() < this.killerHelperChance;
-    h.setData("killer", isKiller);
-    h.setData("cooldown", 0);
+  // What colour or motion alone would say: brackets round infected cells (they
+  // only wobble otherwise), a cross on resisted cells and the receptor shape on pickups
+  drawCues() {
+    const g = this.cueLayer;
+    const sim = this.sim;
+    g.clear();
+    const cues = this.palette.cues;
+    if (!cues && !this.calm) return;
+
+    g.lineStyle(2, 0xffffff, 0.75);
+    for (const b of sim.bacteria) {
+      if (!b.infected) continue;
+      for (let i = 0; i < 4; i++) {
+        const a = (i / 4) * Math.PI * 2 + Math.PI / 4;
+        g.beginPath();
+        g.arc(b.x, b.y, 19, a - 0.35, a + 0.35, false);
+        g.strokePath();
+      }
+    }
+    if (!cues) return;
+
+    g.lineStyle(2, 0xffffff, 0.8);
+    for (const b of sim.bacteria) {
+      const reason = sim.infectionBlock(b, sim.player);
+      if (reason !== "receptor" && reason !== "crispr") continue;
+      g.lineBetween(b.x - 15, b.y + 9, b.x - 9, b.y + 15);
+      g.lineBetween(b.x - 15, b.y + 15, b.x - 9, b.y + 9);
+    }
 
-    if (isKiller) h.setTint(0xffc45a);
+    g.fillStyle(0x0b1b28, 0.9);
+    for (const k of sim.pickups) {
+      const receptor = getReceptor(k.fiber);
+      if (receptor) this.fillShape(g, receptor.shape, k.x, k.y, 5);
+    }
+  }
 
-    return h;
+  drawOrder() {
+    const g = this.orderLayer;
+    const sim = this.sim;
+    const order = sim.helperOrder;
+    g.clear();
+
+    if (order.type === "guard") {
+      g.fillStyle(0x9cc6ff, 0.06);
+      g.fillCircle(order.x, order.y, ORDER_RADIUS.guard);
+      g.lineStyle(2, 0x9cc6ff, 0.45);
+      g.strokeCircle(order.x, order.y, ORDER_RADIUS.guard);
+    } else if (order.type === "rally") {
+      g.lineStyle(1.5, 0x9cc6ff, 0.3);
+      g.strokeCircle(sim.player.x, sim.player.y, ORDER_RADIUS.rally);
+    } else if (order.type === "hunt") {
+      g.lineStyle(2, this.palette.hunt, 0.85);
+      for (const b of sim.bacteria) if (b.hunted) g.strokeCircle(b.x, b.y, 17);
+    }
+  }
+
+  // Debug view: a line from each helper to its target; owned claims get a ring
+  drawClaims() {
+    const g = this.claimLayer;
+    g.clear();
+    if (!this.showClaims) return;
+
+    for (const h of this.sim.helpers) {
+      const color = STATE_COLORS[h.state] || 0xffffff;
+      g.fillStyle(color, 1);
+      g.fillCircle(h.x, h.y, 3);
+
+      const b = h.claim;
+      if (!b) continue;
+      const owned = b.claimedBy === h;
+      g.lineStyle(owned ? 1.5 : 1, color, owned ? 0.85 : 0.4);
+      g.lineBetween(h.x, h.y, b.x, b.y);
+      if (owned) g.strokeCircle(b.x, b.y, 20);
+    }
+  }
+
+  drawVirions() {
+    const g = this.virionLayer;
+    g.clear();
+
+    for (const v of this.sim.virions) {
+      g.fillStyle(0xc9ffea, Math.min(1, v.ttl / 3) * 0.8);
+      g.fillCircle(v.x, v.y, 1.8);
+    }
   }
 
-  constrainToDish(sprite) {
-    const pos = new Phaser.Math.Vector2(sprite.x, sprite.y);
-    const to = pos.clone().subtract(this.center);
-    const maxR = this.dishRadius * 0.93;
+  placeProphageMark(b) {
+    let mark = this.prophageMarks.get(b.id);
+    if (!mark) {
+      mark = this.markPool.acquire(b.x, b.y).setDepth(1);
+      this.prophageMarks.set(b.id, mark);
+    }
 
-    if (to.length() > maxR) {
-      to.setLength(maxR);
-      sprite.x = this.center.x + to.x;
-      sprite.y = this.center.y + to.y;
+    mark.setPosition(b.x, b.y);
+    if (!this.calm) mark.rotation = this.time.now * 0.0015;
+  }
 
-      const v = sprite.body.velocity.clone();
-      const n = to.clone().normalize();
-      const dot = v.x * n.x + v.y * n.y;
-      v.x = v.x - 2 * dot * n.x;
-      v.y = v.y - 2 * dot * n.y;
-      sprite.body.setVelocity(v.x * 0.65, v.y * 0.65);
+  drawInjection() {
+    const target = this.sim.injecting ? this.sim.attachedTarget : null;
+    if (!target) {
+      this.injectRing.setVisible(false);
+      this.injectFill.setVisible(false).setScale(1);
+      return;
     }
+
+    this.injectRing
+      .setVisible(true)
+      .setPosition(target.x, target.y)
+      .setAlpha(0.85);
+
+    this.injectFill
+      .setVisible(true)
+      .setTint(this.sim.injectMode === "lysogenic" ? this.palette.prophage : 0xffffff)
+      .setPosition(target.x, target.y)
+      .setAlpha(0.95)
+      .setScale(0.6 + 0.8 * this.sim.injectProgress);
   }
 
   endGame(won) {
     this.gameOver = true;
-    this.stopInjecting();
+    this.drawInjection();
+    for (const obj of this.orderButtons) obj.setVisible(false);
+    for (const obj of [...this.pauseButton, ...this.graphButton]) obj.setVisible(false);
+    this.population.finish(this.sim);
+    this.drawGraph();
 
     // Fade out music on game end
     if (this.music && this.music.isPlaying) {
@@ -456,76 +1202,197 @@ export class GameScene extends Phaser.Scene {
       });
     }
 
+    // Finish the recording (or keep the replay we just watched)
+    const score = this.sim.score;
+    if (this.recorder) {
+      this.lastReplay = this.recorder.finish({ won, score });
+      clearSavedRun();
+    } else {
+      this.lastReplay = this.replay;
+    }
+
+    // Campaign progress and the profile's run history (live runs only)
+    const stats = this.sim.stats;
+    const seconds = this.sim.elapsedSeconds;
+    let record = null;
+    if (!this.replay) {
+      if (this.level) recordLevelResult(this.campaign.id, this.level.id, { won, score, seconds });
+      const run = {
+        at: Date.now(),
+        level: this.level ? this.level.id : null,
+        seed: this.seed,
+        won,
+        reason: this.sim.result.reason,
+        score,
+        seconds,
+        lyses: { ...stats.lyses },
+        peakBacteria: stats.peakBacteria,
+        settings: this.sim.settings
+      };
+      if (this.level) run.levelName = this.level.name;
+      else run.mode = this.endless ? "endless" : "free";
+      if (this.endless) run.waves = this.sim.wavesSurvived;
+      record = recordRun(run);
+    }
+    const nextLevel = this.campaign.levels[this.levelIndex + 1];
+
     // --- End UI container ---
     this.endUI = this.add.container(0, 0).setDepth(3000);
 
-    const banner = this.add.image(this.center.x, this.center.y, "panel").setAlpha(0.92);
+    const banner = this.add.image(this.center.x, this.center.y, "resultsPanel").setAlpha(0.92);
     this.endUI.add(banner);
 
-    const title = won ? "YOU WIN" : "YOU LOSE";
-    const subtitle = won
-      ? "You cleared enough bacteria before they overran the dish."
-      : "Bacteria overran the dish. Try attaching faster!";
+    // Endless runs only end one way, so they report how far they got instead
+    const title = t(this.endless ? "end.endlessOver" : won ? "end.win" : "end.lose");
+    const reasons = ["score", "survived", "overrun", "timeout"];
+    let subtitle = reasons.includes(this.sim.result.reason) ? t(`end.reason.${this.sim.result.reason}`) : "";
+    if (this.endless) subtitle = t("end.endless", { count: this.sim.wavesSurvived, score });
+
+    if (this.replay) {
+      const r = this.replay.result;
+      const matched = r.won === won && r.score === score;
+      subtitle = matched
+        ? t("end.replayMatched", { score })
+        : t(r.won ? "end.replayDivergedWin" : "end.replayDivergedLoss", { recorded: r.score, score });
+    }
 
-    const titleText = this.add.text(this.center.x, this.center.y - 26, title, {
-      fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    const titleText = this.add.text(this.center.x, this.center.y - 212, title, {
+      fontFamily: UI_FONT,
       fontSize: "40px",
       color: "#e8f3ff"
     }).setOrigin(0.5);
 
-    const subtitleText = this.add.text(this.center.x, this.center.y + 14, subtitle, {
-      fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    const subtitleText = this.add.text(this.center.x, this.center.y - 176, subtitle, {
+      fontFamily: UI_FONT,
       fontSize: "16px",
       color: "#b8d7ff",
       align: "center",
       wordWrap: { width: 640 }
     }).setOrigin(0.5);
 
-    this.endUI.add([titleText, subtitleText]);
+    const lyses = stats.lyses;
+    const lysisParts = [t("end.lysedByYou", { count: lyses.player }), t("end.lysedByHelpers", { count: lyses.helper })];
+    if (lyses.induction > 0) lysisParts.push(t("end.lysedInduced", { count: lyses.induction }));
+    const statsLine = t("end.summary", {
+      seconds: seconds.toFixed(1),
+      lysed: lysisParts.join(", "),
+      peak: stats.peakBacteria
+    });
+    const statsText = this.add.text(this.center.x, this.center.y - 148, statsLine, {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#cfe7ff"
+    }).setOrigin(0.5);
 
-    // --- NEW GAME BUTTON ---
-    const btnW = 220;
-    const btnH = 46;
-    const btnX = this.center.x;
-    const btnY = this.center.y + 74;
+    const bestText = this.add.text(this.center.x, this.center.y - 126, record ? this.bestsLine(record) : "", {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#ffd36b"
+    }).setOrigin(0.5);
 
-    const btnBg = this.add
-      .rectangle(btnX, btnY, btnW, btnH, 0x0e2a3d, 0.95)
-      .setStrokeStyle(2, 0x9cc6ff, 0.55)
-      .setInteractive({ useHandCursor: true });
+    const seedText = this.add.text(this.center.x, this.center.y + 210, t("end.seed", { seed: this.seed }), {
+      fontFamily: UI_FONT,
+      fontSize: "13px",
+      color: "#9cc6ff"
+    }).setOrigin(0.5).setAlpha(0.8);
 
-    const btnText = this.add.text(btnX, btnY, "New Game", {
-      fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
-      fontSize: "16px",
-      color: "#e8f3ff"
-    }).setOrigin(0.5);
+    this.endUI.add([titleText, subtitleText, statsText, bestText, seedText]);
+    this.endUI.add(this.populationChart(this.center.x - 290, this.center.y - 106, 590, 146));
 
-    btnBg.on("pointerover", () => {
-      btnBg.setFillStyle(0x123a54, 1);
-      btnBg.setStrokeStyle(2, 0x9cc6ff, 0.85);
-    });
-    btnBg.on("pointerout", () => {
-      btnBg.setFillStyle(0x0e2a3d, 0.95);
-      btnBg.setStrokeStyle(2, 0x9cc6ff, 0.55);
-    });
+    // --- BUTTONS: level flow on the first row, replays on the second ---
+    const btnW = 160;
+    const gap = 12;
 
-    btnBg.on("pointerdown", () => {
+    const restart = (data) => {
       if (this.endUI) this.endUI.destroy(true);
-      this.scene.restart();
+      this.scene.restart(data);
+    };
+    const levelId = this.level ? this.level.id : undefined;
+
+    const flowRow = [
+      [t("end.newGame"), () => restart(this.endless ? { mode: "endless" } : { levelId })],
+      [t("end.levels"), () => this.scene.start("LevelSelectScene")],
+      [t("end.statsButton"), () => this.scene.start("StatsScene")]
+    ];
+    if (won && nextLevel && !this.replay) {
+      flowRow.splice(1, 0, [t("end.nextLevel"), () => restart({ levelId: nextLevel.id })]);
+    }
+
+    const replayRow = [
+      [t(this.replay ? "end.watchAgain" : "end.watchReplay"), () => restart({ replay: this.lastReplay })],
+      [t("end.saveReplay"), () => downloadReplay(this.lastReplay)],
+      [t("end.saveCsv"), () => downloadPopulationCSV(this.population.samples, this.seed)],
+      [t("end.loadReplay"), () => pickReplayFile(
+        (loaded) => restart({ replay: loaded }),
+        (err) => seedText.setText(t("end.loadFailed", { error: err.message }))
+      )]
+    ];
+
+    [flowRow, replayRow].forEach((row, r) => {
+      const x0 = this.center.x - ((row.length - 1) / 2) * (btnW + gap);
+      row.forEach(([label, onClick], i) => {
+        this.endUI.add(makeButton(this, x0 + i * (btnW + gap), this.center.y + 106 + r * 52, btnW, label, onClick));
+      });
     });
 
-    this.endUI.add([btnBg, btnText]);
+    const result = this.endless ? "announce.endless" : won ? "announce.win" : "announce.lose";
+    announce(t(result, { subtitle, score }), { urgent: true });
 
     // Pop-in
-    this.endUI.setScale(0.1);
-    this.tweens.add({ targets: this.endUI, scale: 1, duration: 260, ease: "Back.easeOut" });
+    if (!this.calm) {
+      this.endUI.setScale(0.1);
+      this.tweens.add({ targets: this.endUI, scale: 1, duration: 260, ease: "Back.easeOut" });
+    }
+  }
+
+  // Results chart: the run's samples with axis labels and a legend; returns the objects for endUI
+  populationChart(x, y, w, h) {
+    const samples = this.population.samples;
+    const colors = this.palette.chart;
+    const style = { fontFamily: UI_FONT, fontSize: "12px", color: "#9cc6ff" };
+
+    const g = this.add.graphics();
+    const scale = drawPopulationChart(g, samples, { x, y, w, h }, colors);
+    const objects = [
+      g,
+      this.add.text(x - 6, y, String(scale.yMax), style).setOrigin(1, 0.5),
+      this.add.text(x - 6, y + h, "0", style).setOrigin(1, 0.5),
+      this.add.text(x, y + h + 4, t("graph.seconds", { seconds: 0 }), style).setOrigin(0, 0),
+      this.add.text(x + w, y + h + 4, t("graph.seconds", { seconds: scale.tMax }), style).setOrigin(1, 0)
+    ];
+
+    // Legend centred under the chart; each entry is a swatch and the series name
+    const names = POPULATION_SERIES.map((key) => this.add.text(0, y + h + 26, t(`graph.name.${key}`), {
+      ...style,
+      color: "#cfe7ff"
+    }).setOrigin(0, 0.5));
+    const gap = 24;
+    const total = names.reduce((sum, text) => sum + 24 + text.width, 0) + gap * (names.length - 1);
+    let lx = x + w / 2 - total / 2;
+    names.forEach((text, i) => {
+      drawSwatch(g, POPULATION_SERIES[i], lx, text.y, colors);
+      text.setX(lx + 24);
+      lx += 24 + text.width + gap;
+    });
+
+    return [...objects, ...names];
   }
 
   // ---------------------------- Tutorial ----------------------------
 
+  // A tutorial card is up: the dish stays frozen until the player reads on
+  get tutorialPaused() {
+    return this.tutorialActive && !(this.tutorialTracker && this.tutorialTracker.practice);
+  }
+
   startTutorial() {
     this.tutorialActive = true;
-    this.tutorialStep = 0;
+
+    // Levels without the tutorial flag (or players who switched it off) only see the intro and goal cards
+    const full = this.prefs.showTutorial && (this.level ? this.level.tutorial : !this.endless);
+    this.tutorialSteps = tutorialSteps(getTutorial(this), { full, sim: this.sim });
+    this.tutorialIndex = 0;
+    this.tutorialTracker = null;
 
     this.tutorialOverlay = this.add
       .rectangle(W / 2, H / 2, W, H, 0x000000, 0.55)
@@ -538,7 +1405,7 @@ export class GameScene extends Phaser.Scene {
       .setAlpha(0.96);
 
     const baseStyle = {
-      fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+      fontFamily: UI_FONT,
       color: "#e8f3ff",
       align: "center",
       wordWrap: { width: 640 }
@@ -555,7 +1422,7 @@ export class GameScene extends Phaser.Scene {
       .setDepth(2002);
 
     this.tutorialHint = this.add
-      .text(W / 2, H / 2 + 165, "Tap/click to continue  •  Space also works", {
+      .text(W / 2, H / 2 + 165, "", {
         ...baseStyle,
         fontSize: "14px",
         color: "#9cc6ff"
@@ -570,23 +1437,30 @@ export class GameScene extends Phaser.Scene {
       .setAlpha(0.55)
       .setScale(0.55);
 
-    this.tweens.add({
-      targets: this.tutorialPointer,
-      scale: { from: 0.45, to: 0.65 },
-      alpha: { from: 0.35, to: 0.65 },
-      duration: 650,
-      yoyo: true,
-      repeat: -1,
-      ease: "Sine.easeInOut"
-    });
+    if (!this.calm) {
+      this.tweens.add({
+        targets: this.tutorialPointer,
+        scale: { from: 0.45, to: 0.65 },
+        alpha: { from: 0.35, to: 0.65 },
+        duration: 650,
+        yoyo: true,
+        repeat: -1,
+        ease: "Sine.easeInOut"
+      });
+    }
 
+    // Practice tasks move on by themselves once the player has done them
     this._tutorialAdvance = () => {
-      if (!this.tutorialActive) return;
-      this.tutorialStep++;
+      if (!this.tutorialPaused) return;
+      this.tutorialIndex++;
       this.renderTutorialStep();
     };
 
-    this.tutorialOverlay.on("pointerdown", this._tutorialAdvance);
+    // The tap that closes a card must not also land in the dish as a click
+    this.tutorialOverlay.on("pointerdown", (pointer, x, y, event) => {
+      event.stopPropagation();
+      this._tutorialAdvance();
+    });
 
     this.tutorialKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
     this.tutorialKey.on("down", this._tutorialAdvance);
@@ -595,48 +1469,102 @@ export class GameScene extends Phaser.Scene {
   }
 
   renderTutorialStep() {
-    const step = this.tutorialStep;
-    const pointAt = (x, y) => this.tutorialPointer.setPosition(x, y);
-
-    const firstBacterium = this.bacteria.getChildren().find((b) => b && b.active);
-
-    if (step === 0) {
-      this.tutorialTitle.setText("Phagefall");
-      this.tutorialBody.setText(
-        "You are a phage in a petri dish.\nClear enough bacteria before they multiply out of control."
-      );
-      pointAt(this.center.x, this.center.y);
-    } else if (step === 1) {
-      this.tutorialTitle.setText("Move");
-      this.tutorialBody.setText("Use WASD / Arrow keys to swim around.\n(You must get close to attach.)");
-      pointAt(this.player.x, this.player.y);
-    } else if (step === 2) {
-      this.tutorialTitle.setText("Attach");
-      this.tutorialBody.setText("Tap/click a bacterium while you're close.\nYou will attach to it.");
-      if (firstBacterium) pointAt(firstBacterium.x, firstBacterium.y);
-      else pointAt(this.center.x + 120, this.center.y);
-    } else if (step === 3) {
-      this.tutorialTitle.setText("Inject DNA");
-      this.tutorialBody.setText("A short timer fills while you inject.\nStay attached until it completes.");
-      if (firstBacterium) pointAt(firstBacterium.x, firstBacterium.y);
-      else pointAt(this.center.x + 120, this.center.y);
-    } else if (step === 4) {
-      this.tutorialTitle.setText("Lyse + Replicate");
-      this.tutorialBody.setText(
-        "When injection finishes, the bacterium bursts (lysis).\nYou gain points and spawn extra phages."
-      );
-      pointAt(this.center.x - 120, this.center.y);
-    } else if (step === 5) {
-      this.tutorialTitle.setText("Win / Lose");
-      this.tutorialBody.setText(`Win: reach ${this.neededToWin} lysis points.\nLose: if bacteria overrun the dish.`);
-      pointAt(this.center.x, this.center.y);
-    } else {
+    const step = this.tutorialSteps[this.tutorialIndex];
+    if (!step) {
       this.endTutorial();
+      return;
     }
+
+    const text = stepText(step, {
+      touch: this.touchMode,
+      pad: Boolean(this.controls.pad),
+      burst: Boolean(this.sim.burst),
+      cues: this.palette.cues,
+      intro: this.endless || Boolean(this.level && this.level.intro)
+    });
+    const params = this.tutorialParams();
+    this.tutorialTitle.setText(t(text.title, params));
+    this.tutorialBody.setText(t(text.body, params));
+
+    this.tutorialTracker = new StepTracker(step, this.sim);
+    const practice = this.tutorialTracker.practice;
+    this.tutorialHint.setText(practice ? `${t(step.task)}  •  ${t("tutorial.practice")}` : t("tutorial.continue"));
+    if (practice) announce(t(step.task));
+
+    this.layoutTutorial(practice);
+    this.pointTutorial();
+  }
+
+  // Cards sit over the frozen dish; a practice task moves up out of the way and lets input through
+  layoutTutorial(practice) {
+    const y = practice ? 78 : H / 2 + 120;
+
+    this.tutorialOverlay.setVisible(!practice);
+    if (practice) this.tutorialOverlay.disableInteractive();
+    else this.tutorialOverlay.setInteractive();
+
+    this.tutorialPanel.setPosition(W / 2, y).setScale(1, practice ? 0.62 : 1);
+    this.tutorialTitle.setPosition(W / 2, y + (practice ? -44 : -60));
+    this.tutorialBody.setPosition(W / 2, y + (practice ? -2 : -10));
+    this.tutorialHint.setPosition(W / 2, y + (practice ? 50 : 45));
+  }
+
+  pointTutorial() {
+    const target = this.tutorialTracker.target(this.sim);
+    this.tutorialPointer.setPosition(target.x, target.y);
+  }
+
+  // After the practice steps of a frame: move on once the task is done, else keep pointing at the highlight
+  followTutorialTask() {
+    if (this.tutorialTracker.observe(this.sim)) {
+      this.tutorialIndex++;
+      this.renderTutorialStep();
+    } else {
+      this.pointTutorial();
+    }
+  }
+
+  // Placeholders the tutorial texts can use (systems/tutorial.js)
+  tutorialParams() {
+    return {
+      level: this.level ? levelName(this.level) : this.endless ? t("common.endless") : "Phagefall",
+      intro: this.level ? levelIntro(this.level, this.controlHints()) : this.endless ? t("endless.intro") : "",
+      goal: this.winLoseText(),
+      keys: ["up", "left", "down", "right"].map((a) => keyLabel(this.prefs.bindings[a])).join(""),
+      attachKey: this.keyFor("attach"),
+      deployKey: this.keyFor("deploy"),
+      mutateKey: this.keyFor("mutate"),
+      integrateKey: this.keyFor("integrate"),
+      induceKey: this.keyFor("induce")
+    };
+  }
+
+  // How to mutate / induce / integrate with the current bindings and input mode, for level intros
+  controlHints() {
+    const press = this.touchMode ? "control.tap" : "control.press";
+    return {
+      mutate: t(press, { key: this.keyFor("mutate") }),
+      induce: t(press, { key: this.keyFor("induce") }),
+      integrate: t(this.touchMode ? "control.integrateTouch" : "control.integrate", { key: this.keyFor("integrate") })
+    };
+  }
+
+  winLoseText() {
+    const sim = this.sim;
+    const win = this.endless
+      ? t("goal.endless")
+      : sim.neededToWin !== null
+        ? t("goal.winScore", { count: sim.neededToWin })
+        : t("goal.winSurvive", { count: sim.surviveSeconds });
+    const lose = sim.timeLimit !== null
+      ? t("goal.loseTimed", { threshold: sim.loseThreshold, count: sim.timeLimit })
+      : t("goal.lose", { threshold: sim.loseThreshold });
+    return `${win}\n${lose}`;
   }
 
   endTutorial() {
     this.tutorialActive = false;
+    this.tutorialTracker = null;
 
     if (this.tutorialOverlay) this.tutorialOverlay.destroy();
     if (this.tutorialPanel) this.tutorialPanel.destroy();
@@ -645,10 +1573,8 @@ export class GameScene extends Phaser.Scene {
     if (this.tutorialHint) this.tutorialHint.destroy();
     if (this.tutorialPointer) this.tutorialPointer.destroy();
 
-    if (this.tutorialKey) {
-      this.tutorialKey.off("down", this._tutorialAdvance);
-      this.tutorialKey.destroy();
-    }
+    // Space is also the attach key, so only this listener goes
+    if (this.tutorialKey) this.tutorialKey.off("down", this._tutorialAdvance);
 
     this.hintText.setAlpha(0.9);
     this.tweens.add({ targets: this.hintText, alpha: 0, delay: 4500, duration: 900 });
@@ -0,0 +1,116 @@
+/**
+ * @file src/scenes/LevelSelectScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Level select for the loaded campaign. Shows every level in order with its
+ * best result; a level unlocks once the one before it has been won.
+ *
+ * Responsibilities:
+ * - Read the campaign + levels from the JSON cache (loaded in BootScene)
+ * - Show locked / unlocked / completed levels from saved campaign progress
+ * - Name any level files left out for failing validation, under the levels
+ * - Start GameScene with the chosen level (this replaces any saved run;
+ *   "Continue" lives in TitleScene), or in endless mode from the button
+ *   under the levels, which shows the best endless score
+ * - Return to TitleScene
+ *
+ * External dependencies:
+ * - systems/levels.js for the campaign data
+ * - systems/campaign.js for saved progress
+ * - systems/profile.js for the best endless score
+ * - systems/i18n.js for the menu text and level names
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { getCampaign } from "../systems/levels.js";
+import { loadProgress, isUnlocked } from "../systems/campaign.js";
+import { loadProfile, bestsKey } from "../systems/profile.js";
+import { t, levelName, campaignName } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+export class LevelSelectScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "LevelSelectScene" });
+  }
+
+  create() {
+    const campaign = getCampaign(this);
+    const progress = loadProgress(campaign.id);
+
+    this.add.image(W / 2, H / 2, "dish").setDepth(-10).setAlpha(0.5);
+
+    this.add.text(W / 2, 52, "Phagefall", {
+      fontFamily: UI_FONT,
+      fontSize: "36px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    this.add.text(W / 2, 92, campaignName(campaign), {
+      fontFamily: UI_FONT,
+      fontSize: "16px",
+      color: "#9cc6ff"
+    }).setOrigin(0.5);
+
+    makeButton(this, 90, 36, 140, t("menu.back"), () => this.scene.start("TitleScene"));
+
+    if (campaign.skipped.length > 0) {
+      const ids = campaign.skipped.map((s) => s.id).join(", ");
+      this.add.text(W / 2, H - 24, t("levels.skipped", { ids }), {
+        fontFamily: UI_FONT,
+        fontSize: "13px",
+        color: "#ffb36b",
+        align: "center",
+        wordWrap: { width: W - 80 }
+      }).setOrigin(0.5);
+    }
+
+    if (campaign.levels.length === 0) {
+      this.add.text(W / 2, H / 2, t("levels.none"), {
+        fontFamily: UI_FONT,
+        fontSize: "16px",
+        color: "#b8d7ff"
+      }).setOrigin(0.5);
+
+      makeButton(this, W / 2, H / 2 + 60, 220, t("common.freePlay"), () => this.scene.start("GameScene"));
+      return;
+    }
+
+    // One column of up to six levels, then a second column alongside it
+    const rowH = 56;
+    const top = 150;
+    const perColumn = 6;
+    const columns = Math.ceil(campaign.levels.length / perColumn);
+    const buttonW = columns > 1 ? 420 : 460;
+    const columnX = (col) => W / 2 + (col - (columns - 1) / 2) * (buttonW + 24);
+
+    campaign.levels.forEach((level, i) => {
+      const unlocked = isUnlocked(campaign, progress, i);
+      const best = progress.completed[level.id];
+
+      let label = `${i + 1}. ${levelName(level)}`;
+      if (best) label += `   ${t("levels.best", { count: best.bestScore, seconds: Math.round(best.bestSeconds) })}`;
+      else if (!unlocked) label += `   ${t("levels.locked")}`;
+
+      const x = columnX(Math.floor(i / perColumn));
+      const y = top + (i % perColumn) * rowH;
+      const [bg, text] = makeButton(this, x, y, buttonW, label, () => {
+        this.scene.start("GameScene", { levelId: level.id });
+      });
+
+      if (!unlocked) {
+        bg.disableInteractive();
+        bg.setAlpha(0.45);
+        text.setAlpha(0.5);
+      }
+    });
+
+    // Endless mode is always open, under the last row of levels
+    const best = loadProfile().bests[bestsKey({ level: null, mode: "endless" })];
+    let label = t("levels.endless");
+    if (best) label += `   ${t("levels.endlessBest", { score: best.bestScore })}`;
+    makeButton(this, W / 2, top + perColumn * rowH, 460, label, () => this.scene.start("GameScene", { mode: "endless" }));
+  }
+}
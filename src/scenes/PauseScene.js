@@ -0,0 +1,79 @@
+/**
+ * @file src/scenes/PauseScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Pause overlay, launched on top of GameScene while GameScene is paused
+ * (GameScene.pauseGame()). Nothing in the run moves while it is open.
+ *
+ * Responsibilities:
+ * - Resume the run (button, or the pause key / gamepad button again)
+ * - Open SettingsScene or CodexScene (the lab notebook), which come back here
+ * - Quit to TitleScene; a live run was saved when it paused, so it can be continued
+ *
+ * External dependencies:
+ * - systems/preferences.js for the pause key and button
+ * - systems/i18n.js for the overlay text
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { loadPreferences, keyLabel } from "../systems/preferences.js";
+import { t } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+export class PauseScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "PauseScene" });
+  }
+
+  // data.live (from GameScene): the run is being recorded, not a replay, so quitting keeps it.
+  // Coming back from SettingsScene or CodexScene passes no data and keeps the last value
+  create(data = {}) {
+    if (data.live !== undefined) this.live = data.live;
+    const prefs = loadPreferences();
+    const pauseKey = prefs.bindings.pause;
+
+    // Swallow clicks so they never reach the paused dish underneath
+    this.add.rectangle(W / 2, H / 2, W, H, 0x04090f, 0.72).setInteractive();
+
+    this.add.text(W / 2, H / 2 - 120, t("pause.title"), {
+      fontFamily: UI_FONT,
+      fontSize: "40px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    makeButton(this, W / 2, H / 2 - 40, 280, t("pause.resume", { key: keyLabel(pauseKey) }), () => this.resumeGame());
+    makeButton(this, W / 2, H / 2 + 18, 280, t("menu.settings"), () => {
+      this.scene.start("SettingsScene", { from: "PauseScene" });
+    });
+    makeButton(this, W / 2, H / 2 + 76, 280, t("menu.codex"), () => {
+      this.scene.start("CodexScene", { from: "PauseScene" });
+    });
+    makeButton(this, W / 2, H / 2 + 134, 280, t("pause.quit"), () => {
+      this.scene.stop("GameScene");
+      this.scene.start("TitleScene");
+    });
+
+    if (this.live) {
+      this.add.text(W / 2, H / 2 + 188, t("pause.saved"), {
+        fontFamily: UI_FONT,
+        fontSize: "14px",
+        color: "#9cc6ff"
+      }).setOrigin(0.5);
+    }
+
+    this.input.keyboard.addKey(pauseKey).on("down", () => this.resumeGame());
+    if (this.input.gamepad) {
+      this.input.gamepad.on("down", (pad, button) => {
+        if (button.index === prefs.padBindings.pause) this.resumeGame();
+      });
+    }
+  }
+
+  resumeGame() {
+    this.scene.resume("GameScene");
+    this.scene.stop();
+  }
+}
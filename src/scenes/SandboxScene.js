@@ -0,0 +1,426 @@
+/**
+ * @file src/scenes/SandboxScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Experiment mode: a dish with nothing to win or lose, where players place
+ * bacteria and helper phages by hand and change the rules while it runs.
+ *
+ * Responsibilities:
+ * - Run a Simulation on the sandbox rules (systems/experiments.js), starting
+ *   paused; Run / Pause (or the pause key) and Step (STEP_FRAMES steps at a
+ *   time) drive it
+ * - Place a cell of the picked species or a helper where the dish is
+ *   clicked; the Attach tool sends the click to the player's phage instead,
+ *   which swims with the usual keys and attaches with the attach key
+ * - The panel's -/+ buttons retune the running Simulation straight away
+ * - Save the panel's values as a named experiment, load or delete saved
+ *   ones, and go back to the default rules
+ * - Draw one sprite per entity, recycled through a pool (systems/pool.js)
+ *
+ * External dependencies:
+ * - systems/simulation.js for the rules
+ * - systems/experiments.js for the tunable fields and saved experiments
+ * - systems/input.js for the keyboard / gamepad
+ * - systems/palettes.js for colours; systems/announcer.js for screen readers
+ * - systems/i18n.js for the text
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { Simulation, SIM_DT } from "../systems/simulation.js";
+import { resolveSeed } from "../systems/rng.js";
+import {
+  SANDBOX_PARAMS, defaultValues, nudgeValue, formatValue, sandboxSettings,
+  loadExperiments, saveExperiment, deleteExperiment
+} from "../systems/experiments.js";
+import { getSpecies } from "../systems/species.js";
+import { loadPreferences } from "../systems/preferences.js";
+import { InputController } from "../systems/input.js";
+import { getPalette } from "../systems/palettes.js";
+import { announce } from "../systems/announcer.js";
+import { t } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+import { Pool } from "../systems/pool.js";
+
+// Long frames are capped so they can't queue up a burst of steps (as in GameScene)
+const MAX_FRAME_MS = 100;
+
+// Simulation steps per press of Step (a tenth of a second)
+const STEP_FRAMES = 6;
+
+// Pointer tools: the three species, a helper, or attaching with the player's phage
+const TOOLS = ["rod", "coccus", "spirillum", "helper", "attach"];
+
+// Rule panel on the right of the dish; the growth rows get their own heading
+const PANEL_X = 728;
+const PANEL_TOP = 44;
+const PANEL_ROW_H = 30;
+
+// Experiment names are cut to this length
+const MAX_NAME_LENGTH = 24;
+
+function resetSprite(sprite, x, y, texture) {
+  sprite.setTexture(texture)
+    .setPosition(x, y)
+    .setScale(1)
+    .setAlpha(1)
+    .setRotation(0)
+    .setActive(true)
+    .setVisible(true);
+  sprite.clearTint();
+}
+
+export class SandboxScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "SandboxScene" });
+  }
+
+  create() {
+    this.center = new Phaser.Math.Vector2(W / 2, H / 2);
+    this.prefs = loadPreferences();
+    this.palette = getPalette(this.prefs.palette);
+    this.calm = this.prefs.reducedMotion;
+
+    this.values = defaultValues();
+    this.sim = new Simulation(sandboxSettings(this.values), resolveSeed());
+    this.running = false;
+    this.stepAccumulator = 0;
+    this.tool = TOOLS[0];
+    this.pendingClicks = [];
+    this.pendingActions = {};
+
+    this.sprites = new Map();
+    this.spritePool = new Pool(() => this.add.sprite(0, 0, "particle"), resetSprite);
+    this.particles = this.add.particles(0, 0, "particle", {
+      speed: { min: 40, max: 160 },
+      lifespan: { min: 250, max: 600 },
+      quantity: 0,
+      scale: { start: 0.8, end: 0 },
+      emitting: false
+    });
+
+    this.add.image(this.center.x, this.center.y, "dish").setDepth(-10);
+    this.player = this.add.sprite(this.sim.player.x, this.sim.player.y, "phage").setDepth(10);
+    this.injectRing = this.add.image(0, 0, "injectRing").setVisible(false).setDepth(11);
+    this.injectFill = this.add.image(0, 0, "injectFill").setVisible(false).setDepth(11);
+
+    this.buildControls();
+    this.buildPanel();
+
+    this.statusText = this.add.text(W / 2, H - 14, "", {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#9cc6ff"
+    }).setOrigin(0.5);
+
+    // Buttons stop their own clicks, so anything that reaches here is a click in the dish
+    this.input.on("pointerdown", (p) => this.placeAt(p.worldX, p.worldY));
+
+    this.controls = new InputController(this, this.prefs, (action) => {
+      if (action === "pause") this.setRunning(!this.running);
+      else if (action === "attach") this.pendingActions.attach = true;
+    });
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => this.controls.destroy());
+
+    this.handleSimEvents();
+    this.syncSprites();
+
+    announce(t("announce.sandbox"));
+  }
+
+  buildControls() {
+    makeButton(this, 70, 30, 120, t("menu.back"), () => this.scene.start("TitleScene"));
+
+    this.add.text(16, 66, t("menu.sandbox"), {
+      fontFamily: UI_FONT,
+      fontSize: "22px",
+      color: "#e8f3ff"
+    }).setOrigin(0, 0.5);
+
+    const [, runText] = makeButton(this, 65, 112, 110, "", () => this.setRunning(!this.running));
+    this.runText = runText.setFontSize(14);
+    const [, stepText] = makeButton(this, 175, 112, 90, t("sandbox.step"), () => this.stepOnce());
+    stepText.setFontSize(14);
+    this.setRunning(false);
+
+    this.add.text(16, 150, t("sandbox.place"), {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#9cc6ff"
+    }).setOrigin(0, 0.5);
+
+    this.toolButtons = TOOLS.map((tool, i) => {
+      const [bg, text] = makeButton(this, 65 + (i % 2) * 110, 186 + Math.floor(i / 2) * 52, 100, t(`sandbox.tool.${tool}`),
+        () => this.pickTool(tool));
+      text.setFontSize(14);
+      return { tool, bg };
+    });
+    this.pickTool(this.tool);
+
+    this.add.text(16, 360, t("sandbox.experiments"), {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#9cc6ff"
+    }).setOrigin(0, 0.5);
+
+    makeButton(this, 65, 396, 100, t("sandbox.save"), () => this.saveValues());
+    makeButton(this, 175, 396, 100, t("sandbox.defaults"), () => this.applyValues(defaultValues()));
+
+    this.experimentRows = [];
+    this.refreshExperiments();
+  }
+
+  buildPanel() {
+    this.add.rectangle(PANEL_X - 6, 0, W - PANEL_X + 6, H, 0x07101a, 0.7).setOrigin(0, 0);
+
+    this.countsText = this.add.text(PANEL_X, 18, "", {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#cfe7ff"
+    }).setOrigin(0, 0.5);
+
+    this.valueTexts = {};
+    let y = PANEL_TOP;
+    let section = null;
+    for (const param of SANDBOX_PARAMS) {
+      const heading = param.key.startsWith("growth.") ? "sandbox.growth" : "sandbox.rules";
+      if (heading !== section) {
+        section = heading;
+        this.add.text(PANEL_X, y, t(heading), {
+          fontFamily: UI_FONT,
+          fontSize: "14px",
+          color: "#9cc6ff"
+        }).setOrigin(0, 0.5);
+        y += PANEL_ROW_H - 6;
+      }
+      this.paramRow(param, y);
+      y += PANEL_ROW_H;
+    }
+  }
+
+  paramRow(param, y) {
+    this.add.text(PANEL_X, y, t(`sandbox.param.${param.key}`), {
+      fontFamily: UI_FONT,
+      fontSize: "12px",
+      color: "#cfe7ff",
+      wordWrap: { width: 128 }
+    }).setOrigin(0, 0.5);
+
+    this.stepper(PANEL_X + 146, y, "−", () => this.nudge(param, -1));
+    this.valueTexts[param.key] = this.add.text(PANEL_X + 182, y, formatValue(param, this.values[param.key]), {
+      fontFamily: UI_FONT,
+      fontSize: "13px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+    this.stepper(PANEL_X + 218, y, "+", () => this.nudge(param, 1));
+  }
+
+  // Small square -/+ button (makeButton's are too tall for the panel rows)
+  stepper(x, y, label, onClick) {
+    const box = this.add
+      .rectangle(x, y, 24, 22, 0x0e2a3d, 0.95)
+      .setStrokeStyle(2, 0x9cc6ff, 0.55)
+      .setInteractive({ useHandCursor: true });
+    this.add.text(x, y, label, {
+      fontFamily: UI_FONT,
+      fontSize: "15px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    box.on("pointerdown", (pointer, lx, ly, event) => {
+      if (event) event.stopPropagation();
+      onClick();
+    });
+  }
+
+  setRunning(running) {
+    this.running = running;
+    this.stepAccumulator = 0;
+    this.runText.setText(t(running ? "sandbox.pause" : "sandbox.run"));
+  }
+
+  pickTool(tool) {
+    this.tool = tool;
+    for (const b of this.toolButtons) {
+      b.bg.setStrokeStyle(2, b.tool === tool ? 0xffd36b : 0x9cc6ff, b.tool === tool ? 1 : 0.55);
+    }
+  }
+
+  // ---------------------------- Rules ----------------------------
+
+  nudge(param, dir) {
+    this.values[param.key] = nudgeValue(param, this.values[param.key], dir);
+    this.valueTexts[param.key].setText(formatValue(param, this.values[param.key]));
+    this.sim.retune(sandboxSettings(this.values));
+  }
+
+  applyValues(values) {
+    this.values = { ...values };
+    for (const param of SANDBOX_PARAMS) {
+      this.valueTexts[param.key].setText(formatValue(param, this.values[param.key]));
+    }
+    this.sim.retune(sandboxSettings(this.values));
+  }
+
+  saveValues() {
+    const count = loadExperiments().length;
+    const answer = window.prompt(t("sandbox.namePrompt"), t("sandbox.defaultName", { n: count + 1 }));
+    const name = (answer || "").trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return;
+
+    this.say(saveExperiment(name, this.values) ? t("sandbox.saved", { name }) : t("sandbox.saveFailed"));
+    this.refreshExperiments();
+  }
+
+  refreshExperiments() {
+    for (const obj of this.experimentRows) obj.destroy();
+    this.experimentRows = [];
+
+    const experiments = loadExperiments();
+    if (experiments.length === 0) {
+      this.experimentRows.push(this.add.text(16, 436, t("sandbox.none"), {
+        fontFamily: UI_FONT,
+        fontSize: "13px",
+        color: "#8fa3c0"
+      }).setOrigin(0, 0.5));
+      return;
+    }
+
+    experiments.slice().reverse().forEach((e, i) => {
+      const y = 436 + i * 17;
+      const row = this.add.text(16, y, e.name, {
+        fontFamily: UI_FONT,
+        fontSize: "13px",
+        color: "#e8f3ff"
+      }).setOrigin(0, 0.5).setInteractive({ useHandCursor: true });
+      row.on("pointerdown", (pointer, lx, ly, event) => {
+        if (event) event.stopPropagation();
+        this.applyValues(e.values);
+        this.say(t("sandbox.loaded", { name: e.name }));
+      });
+
+      const remove = this.add.text(214, y, "×", {
+        fontFamily: UI_FONT,
+        fontSize: "15px",
+        color: "#ff9b9b"
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+      remove.on("pointerdown", (pointer, lx, ly, event) => {
+        if (event) event.stopPropagation();
+        deleteExperiment(e.name);
+        this.say(t("sandbox.deleted", { name: e.name }));
+        this.refreshExperiments();
+      });
+
+      this.experimentRows.push(row, remove);
+    });
+  }
+
+  say(message) {
+    this.statusText.setText(message);
+    announce(message);
+  }
+
+  // ---------------------------- Simulation ----------------------------
+
+  placeAt(x, y) {
+    const sim = this.sim;
+    if (Phaser.Math.Distance.Between(x, y, sim.center.x, sim.center.y) > sim.dishRadius) return;
+
+    if (this.tool === "attach") {
+      this.pendingClicks.push({ x, y });
+      return;
+    }
+
+    if (this.tool === "helper") {
+      if (!sim.addHelperAt(x, y)) this.say(t("float.helperLimit", { max: sim.maxHelpers }));
+    } else {
+      sim.addBacteriumAt(x, y, this.tool);
+    }
+    this.handleSimEvents();
+    this.syncSprites();
+  }
+
+  nextInput() {
+    const input = { move: this.controls.readMove(), clicks: this.pendingClicks.splice(0), actions: this.pendingActions };
+    this.pendingActions = {};
+    return input;
+  }
+
+  stepOnce() {
+    this.setRunning(false);
+    for (let i = 0; i < STEP_FRAMES; i++) this.sim.step(this.nextInput());
+  }
+
+  update(time, dtMs) {
+    if (this.running) {
+      this.stepAccumulator += Math.min(dtMs, MAX_FRAME_MS) / 1000;
+      while (this.stepAccumulator >= SIM_DT) {
+        this.stepAccumulator -= SIM_DT;
+        this.sim.step(this.nextInput());
+      }
+    }
+
+    this.handleSimEvents();
+    this.syncSprites();
+    this.drawInjection();
+
+    this.countsText.setText(t("sandbox.counts", {
+      bacteria: this.sim.bacteria.length,
+      helpers: this.sim.helpers.length,
+      seconds: this.sim.elapsedSeconds.toFixed(1)
+    }));
+  }
+
+  // ---------------------------- Rendering ----------------------------
+
+  handleSimEvents() {
+    for (const ev of this.sim.events) {
+      if (ev.type === "bacteriumSpawned") {
+        const sprite = this.spritePool.acquire(ev.entity.x, ev.entity.y, getSpecies(ev.entity.species).texture);
+        this.sprites.set(ev.entity.id, sprite.setScale(Phaser.Math.FloatBetween(0.85, 1.15)));
+      } else if (ev.type === "helperSpawned") {
+        const h = ev.entity;
+        const sprite = this.spritePool.acquire(h.x, h.y, h.killer ? "helperKiller" : "helper").setAlpha(0.95);
+        if (h.killer) sprite.setTint(this.palette.killer);
+        this.sprites.set(h.id, sprite);
+      } else if (ev.type === "lysis") {
+        this.particles.emitParticleAt(ev.entity.x, ev.entity.y, this.calm ? 6 : 26);
+      }
+    }
+    this.sim.events.length = 0;
+  }
+
+  // Move every sprite to its entity; drop sprites whose entity is gone
+  syncSprites() {
+    const seen = new Set();
+    for (const e of this.sim.bacteria.concat(this.sim.helpers)) {
+      const sprite = this.sprites.get(e.id);
+      if (!sprite) continue;
+      sprite.setPosition(e.x, e.y);
+      sprite.rotation = e.rotation;
+      seen.add(e.id);
+    }
+
+    for (const [id, sprite] of this.sprites) {
+      if (seen.has(id)) continue;
+      sprite.setActive(false).setVisible(false);
+      this.spritePool.release(sprite);
+      this.sprites.delete(id);
+    }
+
+    this.player.setPosition(this.sim.player.x, this.sim.player.y);
+    this.player.rotation = this.sim.player.rotation;
+  }
+
+  drawInjection() {
+    const target = this.sim.injecting ? this.sim.attachedTarget : null;
+    this.injectRing.setVisible(Boolean(target));
+    this.injectFill.setVisible(Boolean(target));
+    if (!target) return;
+
+    this.injectRing.setPosition(target.x, target.y).setAlpha(0.85);
+    this.injectFill.setPosition(target.x, target.y).setAlpha(0.95).setScale(0.6 + 0.8 * this.sim.injectProgress);
+  }
+}
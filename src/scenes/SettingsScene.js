@@ -0,0 +1,335 @@
+/**
+ * @file src/scenes/SettingsScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Settings menu, opened from TitleScene or from the pause overlay mid-run.
+ * Every change is saved straight away (systems/preferences.js).
+ *
+ * Responsibilities:
+ * - Music and sound effect volume (a cue plays at the new effect volume)
+ * - Difficulty preset (applies from the next new run)
+ * - Whether the how-to-play tutorial is shown
+ * - Touch controls: automatic on phones and tablets, or forced on / off
+ * - Colour palette (default or colourblind-safe); textures are regenerated
+ *   at once, so a paused run behind this menu changes with it
+ * - Reduced motion
+ * - Language (systems/i18n.js); the menu is rebuilt in the new language at once
+ * - Keyboard and gamepad bindings: click an action's key (or button), then
+ *   press the new one. A key or button that is already bound swaps with it,
+ *   so none ever does two things
+ * - Return to TitleScene, or to PauseScene when opened with { from: "PauseScene" }
+ *
+ * External dependencies:
+ * - systems/preferences.js for loading/saving preferences
+ * - config.js for the difficulty presets
+ * - systems/palettes.js + systems/textures.js for the colour palettes
+ * - systems/i18n.js for the menu text and the language list
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H, DIFFICULTY_PRESETS } from "../config.js";
+import {
+  DEFAULT_PREFERENCES, BINDING_ACTIONS, MOVE_ACTIONS, PAD_DPAD, TOUCH_MODES,
+  loadPreferences, savePreferences, keyLabel, padLabel
+} from "../systems/preferences.js";
+import { PALETTES, getPalette } from "../systems/palettes.js";
+import { makeTextures } from "../systems/textures.js";
+import { playSfx } from "../systems/sfx.js";
+import { LANGUAGES, t, setLanguage } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+// Keys that can't be rebound, with the string that says why: the arrows always swim,
+// backtick toggles the claims debug view
+const RESERVED_KEYS = {
+  UP: "settings.reservedArrows",
+  DOWN: "settings.reservedArrows",
+  LEFT: "settings.reservedArrows",
+  RIGHT: "settings.reservedArrows",
+  BACKTICK: "settings.reservedDebug"
+};
+
+const VOLUME_STEP = 0.1;
+
+// keyCode -> Phaser key name (first name wins over the browser-specific aliases)
+function keyNameFor(keyCode) {
+  for (const [name, code] of Object.entries(Phaser.Input.Keyboard.KeyCodes)) {
+    if (code === keyCode) return name;
+  }
+  return null;
+}
+
+export class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "SettingsScene" });
+  }
+
+  create(data = {}) {
+    this.from = data.from || "TitleScene";
+    this.prefs = loadPreferences();
+    this.waitingFor = null;
+
+    // Over a paused run the dish stays visible behind a dim layer
+    if (this.from === "PauseScene") this.add.rectangle(W / 2, H / 2, W, H, 0x04090f, 0.88);
+    else this.add.image(W / 2, H / 2, "dish").setDepth(-10).setAlpha(0.35);
+
+    this.add.text(W / 2, 36, t("menu.settings"), {
+      fontFamily: UI_FONT,
+      fontSize: "30px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    makeButton(this, 90, 36, 140, t("settings.back"), () => this.scene.start(this.from));
+
+    const languages = Object.keys(LANGUAGES);
+    makeButton(this, W - 110, 36, 200, LANGUAGES[this.prefs.language], () => {
+      const next = (languages.indexOf(this.prefs.language) + 1) % languages.length;
+      this.prefs.language = languages[next];
+      this.save();
+      setLanguage(this, this.prefs.language);
+      this.scene.restart({ from: this.from });
+    });
+
+    this.buildGeneral(250, 110);
+    this.buildBindings(690, 100);
+
+    this.messageText = this.add.text(W / 2, H - 24, "", {
+      fontFamily: UI_FONT,
+      fontSize: "14px",
+      color: "#ffd36b"
+    }).setOrigin(0.5);
+
+    this.input.keyboard.on("keydown", (event) => this.onKey(event));
+    if (this.input.gamepad) this.input.gamepad.on("down", (pad, button) => this.onPadButton(button.index));
+    this.input.on("pointerdown", () => {
+      if (this.waitingFor) this.stopWaiting();
+    });
+  }
+
+  buildGeneral(x, top) {
+    const rowH = 52;
+
+    this.volumeRow(x, top, t("settings.music"), "musicVolume");
+    this.volumeRow(x, top + rowH, t("settings.sfx"), "sfxVolume");
+
+    const difficulties = Object.keys(DIFFICULTY_PRESETS);
+    const [, difficultyText] = makeButton(this, x, top + rowH * 2, 300, "", () => {
+      const next = (difficulties.indexOf(this.prefs.difficulty) + 1) % difficulties.length;
+      this.prefs.difficulty = difficulties[next];
+      this.save();
+      showDifficulty();
+      this.say(t("settings.difficultyNote"));
+    });
+    const showDifficulty = () => {
+      difficultyText.setText(t("settings.difficulty", { name: t(`difficulty.${this.prefs.difficulty}`) }));
+    };
+    showDifficulty();
+
+    const [, tutorialText] = makeButton(this, x, top + rowH * 3, 300, "", () => {
+      this.prefs.showTutorial = !this.prefs.showTutorial;
+      this.save();
+      showTutorial();
+    });
+    const showTutorial = () => {
+      tutorialText.setText(t(this.prefs.showTutorial ? "settings.tutorialOn" : "settings.tutorialOff"));
+    };
+    showTutorial();
+
+    const [, touchText] = makeButton(this, x, top + rowH * 4, 300, "", () => {
+      const next = (TOUCH_MODES.indexOf(this.prefs.touchControls) + 1) % TOUCH_MODES.length;
+      this.prefs.touchControls = TOUCH_MODES[next];
+      this.save();
+      showTouch();
+      this.say(t("settings.touchNote"));
+    });
+    const showTouch = () => {
+      touchText.setText(t("settings.touch", { mode: t(`settings.touchMode.${this.prefs.touchControls}`) }));
+    };
+    showTouch();
+
+    const palettes = Object.keys(PALETTES);
+    const [, paletteText] = makeButton(this, x, top + rowH * 5, 300, "", () => {
+      const next = (palettes.indexOf(this.prefs.palette) + 1) % palettes.length;
+      this.prefs.palette = palettes[next];
+      this.save();
+      makeTextures(this, getPalette(this.prefs.palette));
+      showPalette();
+    });
+    const showPalette = () => paletteText.setText(t("settings.palette", { name: t(`palette.${this.prefs.palette}`) }));
+    showPalette();
+
+    const [, motionText] = makeButton(this, x, top + rowH * 6, 300, "", () => {
+      this.prefs.reducedMotion = !this.prefs.reducedMotion;
+      this.save();
+      showMotion();
+    });
+    const showMotion = () => motionText.setText(t(this.prefs.reducedMotion ? "settings.motionOn" : "settings.motionOff"));
+    showMotion();
+
+    makeButton(this, x, top + rowH * 7, 300, t("settings.resetControls"), () => {
+      this.prefs.bindings = { ...DEFAULT_PREFERENCES.bindings };
+      this.prefs.padBindings = { ...DEFAULT_PREFERENCES.padBindings };
+      this.save();
+      this.refreshBindings();
+      this.say(t("settings.resetDone"));
+    });
+  }
+
+  // Label, [-] value [+]
+  volumeRow(x, y, label, field) {
+    this.add.text(x - 150, y, label, {
+      fontFamily: UI_FONT,
+      fontSize: "16px",
+      color: "#cfe7ff"
+    }).setOrigin(0, 0.5);
+
+    const valueText = this.add.text(x + 90, y, "", {
+      fontFamily: UI_FONT,
+      fontSize: "16px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+    const show = () => valueText.setText(`${Math.round(this.prefs[field] * 100)}%`);
+
+    const change = (delta) => {
+      const value = Math.round((this.prefs[field] + delta) * 10) / 10;
+      this.prefs[field] = Phaser.Math.Clamp(value, 0, 1);
+      this.save();
+      show();
+      if (field === "sfxVolume") playSfx(this, "attach", this.prefs[field]);
+    };
+    makeButton(this, x + 30, y, 46, "−", () => change(-VOLUME_STEP));
+    makeButton(this, x + 150, y, 46, "+", () => change(VOLUME_STEP));
+    show();
+  }
+
+  buildBindings(x, top) {
+    const rowH = 27;
+    const heading = { fontFamily: UI_FONT, fontSize: "14px", color: "#9cc6ff" };
+
+    this.add.text(x - 220, top - 30, t("settings.controls"), heading).setOrigin(0, 0.5);
+    this.add.text(x + 70, top - 30, t("settings.key"), heading).setOrigin(0.5);
+    this.add.text(x + 195, top - 30, t("settings.gamepad"), heading).setOrigin(0.5);
+
+    this.bindingRows = [];
+    BINDING_ACTIONS.forEach((action, i) => {
+      const y = top + i * rowH;
+      this.add.text(x - 220, y, t(`action.${action}`), {
+        fontFamily: UI_FONT,
+        fontSize: "15px",
+        color: "#cfe7ff"
+      }).setOrigin(0, 0.5);
+
+      this.bindingRows.push(this.bindingBox(x + 70, y, 120, rowH - 5, action, "keyboard"));
+
+      // The left stick and d-pad always swim
+      if (MOVE_ACTIONS.includes(action)) {
+        this.add.text(x + 195, y, t("settings.stickDpad"), {
+          fontFamily: UI_FONT,
+          fontSize: "14px",
+          color: "#8fa3c0"
+        }).setOrigin(0.5);
+      } else {
+        this.bindingRows.push(this.bindingBox(x + 195, y, 110, rowH - 5, action, "gamepad"));
+      }
+    });
+
+    this.refreshBindings();
+  }
+
+  bindingBox(x, y, w, h, action, device) {
+    const box = this.add
+      .rectangle(x, y, w, h, 0x0e2a3d, 0.95)
+      .setStrokeStyle(2, 0x9cc6ff, 0.55)
+      .setInteractive({ useHandCursor: true });
+    const text = this.add.text(x, y, "", {
+      fontFamily: UI_FONT,
+      fontSize: "15px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    box.on("pointerdown", (pointer, lx, ly, event) => {
+      if (event) event.stopPropagation();
+      if (this.isWaiting(action, device)) this.stopWaiting();
+      else this.startWaiting(action, device);
+    });
+
+    return { action, device, box, text };
+  }
+
+  refreshBindings() {
+    for (const row of this.bindingRows) {
+      const waiting = this.isWaiting(row.action, row.device);
+      const label = row.device === "keyboard"
+        ? keyLabel(this.prefs.bindings[row.action])
+        : padLabel(this.prefs.padBindings[row.action]);
+
+      row.text.setText(waiting ? t("settings.press") : label);
+      row.text.setColor(waiting ? "#ffd36b" : "#e8f3ff");
+      row.box.setStrokeStyle(2, waiting ? 0xffd36b : 0x9cc6ff, waiting ? 0.9 : 0.55);
+    }
+  }
+
+  isWaiting(action, device) {
+    return this.waitingFor !== null && this.waitingFor.action === action && this.waitingFor.device === device;
+  }
+
+  startWaiting(action, device) {
+    this.waitingFor = { action, device };
+    this.refreshBindings();
+  }
+
+  stopWaiting() {
+    this.waitingFor = null;
+    this.refreshBindings();
+  }
+
+  onKey(event) {
+    if (!this.waitingFor || this.waitingFor.device !== "keyboard") return;
+
+    const name = keyNameFor(event.keyCode);
+    if (!name) {
+      this.say(t("settings.unbindable"));
+      return;
+    }
+    if (RESERVED_KEYS[name]) {
+      this.say(t(RESERVED_KEYS[name]));
+      return;
+    }
+    this.assign(this.prefs.bindings, name, keyLabel);
+  }
+
+  onPadButton(index) {
+    if (!this.waitingFor || this.waitingFor.device !== "gamepad") return;
+
+    if (PAD_DPAD.includes(index)) {
+      this.say(t("settings.reservedDpad"));
+      return;
+    }
+    this.assign(this.prefs.padBindings, index, padLabel);
+  }
+
+  // Binds the waiting action; if another action already had it, the two trade
+  assign(bindings, value, label) {
+    const action = this.waitingFor.action;
+    const other = Object.keys(bindings).find((a) => a !== action && bindings[a] === value);
+    if (other) {
+      bindings[other] = bindings[action];
+      this.say(t("settings.swapped", { key: label(bindings[other]), action: t(`action.${other}`) }));
+    } else {
+      this.say("");
+    }
+    bindings[action] = value;
+
+    this.save();
+    this.stopWaiting();
+  }
+
+  say(message) {
+    this.messageText.setText(message);
+  }
+
+  save() {
+    if (!savePreferences(this.prefs)) this.say(t("settings.saveFailed"));
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * @file src/scenes/StatsScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Statistics for the local profile: personal bests per level and the most
+ * recent runs, so a class can see how it improves over a unit.
+ *
+ * Responsibilities:
+ * - Read the run history and bests (systems/profile.js)
+ * - Show one bests row per campaign level that has been played (plus endless
+ *   mode and free play)
+ * - Show the newest runs with outcome (waves survived, for endless runs),
+ *   time, lyses and peak bacteria
+ * - Return to TitleScene
+ *
+ * External dependencies:
+ * - systems/profile.js for the stored runs
+ * - systems/levels.js for level names and order
+ * - systems/i18n.js for the headings and level names
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { getCampaign } from "../systems/levels.js";
+import { loadProfile } from "../systems/profile.js";
+import { t, getLanguage, levelName } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+// Newest runs listed under the bests
+const HISTORY_ROWS = 8;
+
+export class StatsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "StatsScene" });
+  }
+
+  create() {
+    const campaign = getCampaign(this);
+    const profile = loadProfile();
+
+    this.add.image(W / 2, H / 2, "dish").setDepth(-10).setAlpha(0.35);
+
+    this.add.text(W / 2, 36, t("menu.statistics"), {
+      fontFamily: UI_FONT,
+      fontSize: "30px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    makeButton(this, 90, 36, 140, t("menu.back"), () => this.scene.start("TitleScene"));
+
+    if (profile.runs.length === 0) {
+      this.add.text(W / 2, H / 2, t("stats.empty"), {
+        fontFamily: UI_FONT,
+        fontSize: "16px",
+        color: "#b8d7ff"
+      }).setOrigin(0.5);
+      return;
+    }
+
+    const y = this.drawBests(campaign, profile.bests, 84);
+    this.drawHistory(campaign, profile.runs, y + 18);
+  }
+
+  // One row per level with at least one play, in campaign order; returns the next free y
+  drawBests(campaign, bests, top) {
+    const rows = campaign.levels
+      .filter((level) => bests[level.id])
+      .map((level) => [levelName(level), bests[level.id]]);
+    if (bests.endless) rows.push([t("common.endless"), bests.endless]);
+    if (bests.free) rows.push([t("common.freePlay"), bests.free]);
+
+    const columns = [
+      [t("stats.level"), 80], [t("stats.played"), 420], [t("stats.won"), 510],
+      [t("stats.bestScore"), 600], [t("stats.fastestWin"), 730]
+    ];
+    this.drawRow(top, columns.map(([label]) => label), columns, "#9cc6ff");
+
+    let y = top + 22;
+    for (const [name, b] of rows) {
+      const fastest = b.fastestWin === null ? "—" : `${b.fastestWin.toFixed(1)}s`;
+      this.drawRow(y, [name, b.plays, b.wins, b.bestScore, fastest], columns, "#e8f3ff");
+      y += 20;
+    }
+    return y;
+  }
+
+  // Runs keep the level name they were played under; levels still in the campaign get today's translation
+  drawHistory(campaign, runs, top) {
+    const columns = [
+      [t("stats.when"), 80], [t("stats.level"), 230], [t("stats.result"), 420], [t("stats.score"), 510],
+      [t("stats.time"), 600], [t("stats.youHelpers"), 680], [t("stats.peak"), 830]
+    ];
+    const names = {};
+    for (const level of campaign.levels) names[level.id] = levelName(level);
+
+    this.drawRow(top, columns.map(([label]) => label), columns, "#9cc6ff");
+
+    let y = top + 22;
+    for (const run of runs.slice(-HISTORY_ROWS).reverse()) {
+      const when = new Date(run.at).toLocaleString(getLanguage(), {
+        month: "short", day: "numeric", hour: "2-digit", minute: "2-digit"
+      });
+      this.drawRow(y, [
+        when,
+        run.level === null ? t(run.mode === "endless" ? "common.endless" : "common.freePlay")
+          : names[run.level] || run.levelName,
+        run.mode === "endless" ? t("stats.resultWaves", { count: run.waves })
+          : t(run.won ? "stats.resultWon" : "stats.resultLost"),
+        run.score,
+        `${run.seconds.toFixed(1)}s`,
+        `${run.lyses.player} / ${run.lyses.helper}`,
+        run.peakBacteria
+      ], columns, run.won ? "#c9ffea" : "#ffc2c2");
+      y += 20;
+    }
+  }
+
+  drawRow(y, values, columns, color) {
+    values.forEach((value, i) => {
+      this.add.text(columns[i][1], y, String(value), {
+        fontFamily: UI_FONT,
+        fontSize: "14px",
+        color
+      });
+    });
+  }
+}
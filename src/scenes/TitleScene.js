@@ -0,0 +1,84 @@
+/**
+ * @file src/scenes/TitleScene.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Title menu shown after BootScene and whenever a player backs out of a run.
+ *
+ * Responsibilities:
+ * - Offer "Continue" for an unfinished saved run (starting a level replaces it),
+ *   or say why a saved run couldn't be restored
+ * - Open LevelSelectScene, SettingsScene, StatsScene, CodexScene (the lab notebook)
+ *   and SandboxScene (experiment mode)
+ *
+ * External dependencies:
+ * - systems/levels.js for the campaign name and level names
+ * - systems/savegame.js for the saved run
+ * - systems/i18n.js for the menu text
+ * - systems/ui.js for shared buttons/fonts
+ */
+
+
+import { W, H } from "../config.js";
+import { getCampaign } from "../systems/levels.js";
+import { loadSavedRun } from "../systems/savegame.js";
+import { t, levelName } from "../systems/i18n.js";
+import { UI_FONT, makeButton } from "../systems/ui.js";
+
+export class TitleScene extends Phaser.Scene {
+  constructor() {
+    super({ key: "TitleScene" });
+  }
+
+  create() {
+    const campaign = getCampaign(this);
+
+    this.add.image(W / 2, H / 2, "dish").setDepth(-10).setAlpha(0.5);
+
+    this.add.text(W / 2, 120, "Phagefall", {
+      fontFamily: UI_FONT,
+      fontSize: "52px",
+      color: "#e8f3ff"
+    }).setOrigin(0.5);
+
+    this.add.text(W / 2, 170, t("title.subtitle"), {
+      fontFamily: UI_FONT,
+      fontSize: "16px",
+      color: "#9cc6ff"
+    }).setOrigin(0.5);
+
+    let y = 230;
+    const rowH = 52;
+    if (this.addContinue(campaign, y)) y += rowH;
+
+    makeButton(this, W / 2, y, 300, t("title.play"), () => this.scene.start("LevelSelectScene"));
+    makeButton(this, W / 2, y + rowH, 300, t("menu.settings"), () => this.scene.start("SettingsScene"));
+    makeButton(this, W / 2, y + rowH * 2, 300, t("menu.statistics"), () => this.scene.start("StatsScene"));
+    makeButton(this, W / 2, y + rowH * 3, 300, t("menu.codex"), () => this.scene.start("CodexScene"));
+    makeButton(this, W / 2, y + rowH * 4, 300, t("menu.sandbox"), () => this.scene.start("SandboxScene"));
+  }
+
+  // Resume the saved run, or say why it was thrown away; true if a button was added
+  addContinue(campaign, y) {
+    const { run, error } = loadSavedRun();
+
+    if (error) {
+      this.add.text(W / 2, H - 30, t("title.restoreFailed", { error }), {
+        fontFamily: UI_FONT,
+        fontSize: "14px",
+        color: "#ff9b9b"
+      }).setOrigin(0.5);
+      return false;
+    }
+    if (!run) return false;
+
+    const level = campaign.levels.find((l) => l.id === run.level);
+    const label = t("title.continue", {
+      level: level ? levelName(level) : t(run.settings.waves ? "common.endless" : "common.freePlay"),
+      score: run.sim.score,
+      seconds: Math.floor(run.sim.elapsedSeconds)
+    });
+    makeButton(this, W / 2, y, 460, label, () => this.scene.start("GameScene", { resume: run }));
+    return true;
+  }
+}
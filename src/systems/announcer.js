@@ -0,0 +1,36 @@
+/**
+ * @file src/systems/announcer.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Screen-reader announcements. Everything in the dish is drawn on a canvas,
+ * which assistive technology can't read, so the moments that matter are
+ * written into ARIA live regions in index.html as well.
+ *
+ * Exports:
+ * - announce(message, { urgent }): read message out; urgent ones (outbreak
+ *   warnings, the end of a run) interrupt whatever is being read
+ *
+ * Notes:
+ * - #announcer is aria-live="polite", #alerts is role="alert"; both are
+ *   visually hidden
+ * - The region is emptied first and refilled a moment later, so the same
+ *   message twice in a row is still read twice
+ * - Pages without the regions (or no DOM at all) announce nothing
+ */
+
+
+// Gap between emptying a region and filling it, so the change is noticed
+const REFILL_DELAY_MS = 60;
+
+export function announce(message, { urgent = false } = {}) {
+  if (typeof document === "undefined") return;
+
+  const region = document.getElementById(urgent ? "alerts" : "announcer");
+  if (!region) return;
+
+  region.textContent = "";
+  window.setTimeout(() => {
+    region.textContent = message;
+  }, REFILL_DELAY_MS);
+}
@@ -7,87 +7,267 @@
  * Kept separate from scenes so logic can be tested and tweaked cleanly.
  *
  * Exports:
- * - bacteriaDrift(scene, bacterium, dt):
- *   Applies jittery drift movement; slows motion when infected.
+ * - bacteriaDrift(sim, bacterium, dt):
+ *   Moves a bacterium the way its species swims (systems/species.js); slows
+ *   motion when infected.
+ *   - "drift": jittery random drift
+ *   - "runTumble": straight runs broken by random tumbles; runs heading up the
+ *     nutrient gradient (toward the dish centre) last longer (chemotaxis)
  *
- * - helperBrain(scene, helper, dt):
- *   Helper phage AI:
- *   - Seeks nearest non-infected bacterium
- *   - Orbits when close
- *   - Occasionally lyses if helper is marked "killer" and off cooldown
+ * - helperBrain(sim, helper, dt):
+ *   Helper phage AI, a small state machine (helper.state) driven by the
+ *   player's order (sim.helperOrder.type):
+ *   - "regroup": outside the rally / guard area; heads back, ignoring hosts
+ *   - "seek": has a target; closes in and orbits when close
+ *   - "patrol": inside the area with nothing to hit; circles its centre
+ *   - "wander": free (or hunting) with nothing to hit; drifts about
+ *   Targets are non-infected, non-lysogen bacteria its tail fiber can bind:
+ *   - free: within HELPER_SEEK_RANGE
+ *   - rally / guard: inside ORDER_RADIUS of the player / guard spot
+ *   - hunt: painted cells (bacterium.hunted) it can infect, however far
+ *   A "killer" helper off cooldown occasionally lyses its target; the kill
+ *   fails (and the helper backs off) if the host resists its strain
+ *
+ *   Target claims (helper.claim, bacterium.claimedBy):
+ *   - A helper keeps its claimed target until it lyses, gets infected, stops
+ *     fitting the order or drifts out of range; only then does it pick again
+ *   - Picking prefers the nearest unclaimed cell away from other helpers'
+ *     claims (CLAIM_SPREAD), then any unclaimed cell, then sharing a claimed
+ *     one, so helpers fan out over separate clusters instead of one cell
+ *   - A shared target stays owned by its first claimer; sharers re-pick every step
+ *
+ * - ORDER_RADIUS: px size of the rally and guard areas and the hunt brush
  *
  * Notes:
- * - Functions expect Phaser Arcade Physics bodies on sprites.
- * - Scene must provide bacteria group, lysis(), and killer tuning variables.
+ * - Entities are plain simulation objects ({x, y, vx, vy, ax, ay, rotation, ...}),
+ *   not Phaser sprites, so these run headless under Node.
+ * - sim must provide helpers, helperOrder, player, bacteriaGrid and claimGrid
+ *   (systems/spatialGrid.js), lysis(), fiberFits(), infectionBlock(), and
+ *   killer tuning variables. Targets come from grid queries, never from a
+ *   scan over every bacterium or helper. Claiming or releasing a cell
+ *   updates sim.claimGrid; sim.lysis() drops every claim on the lysed cell.
+ * - All rolls go through the shared seeded rng (systems/rng.js).
  */
 
 
-export function bacteriaDrift(scene, b, dt) {
-  const infected = b.getData("infected") === true;
-  const max = infected ? 45 : 85;
+import { rng } from "./rng.js";
+import { clamp, dist2, angleBetween, rotateTo, wrapAngle } from "./geometry.js";
+import { getSpecies } from "./species.js";
+
+// Helpers only notice hosts this close (px)
+const HELPER_SEEK_RANGE = 320;
+
+export const ORDER_RADIUS = { rally: 110, guard: 130, hunt: 90 };
+
+const HELPER_REGROUP_SPEED = 180;
+
+// Helpers prefer targets at least this far (px) from other helpers' claims
+const CLAIM_SPREAD = 90;
 
-  const v = b.body.velocity;
-  const jitter = infected ? 10 : 18;
+// A claimed target may drift this much past the search range before it is dropped
+const CLAIM_SLACK = 1.25;
 
-  b.body.setVelocity(
-    Phaser.Math.Clamp(v.x + Phaser.Math.FloatBetween(-jitter, jitter) * dt, -max, max),
-    Phaser.Math.Clamp(v.y + Phaser.Math.FloatBetween(-jitter, jitter) * dt, -max, max)
-  );
+// Regrouping helpers come this far inside the area before they engage again
+const REGROUP_DEPTH = 0.6;
 
-  b.rotation += (infected ? 0.5 : 0.2) * dt;
+export function bacteriaDrift(sim, b, dt) {
+  const species = getSpecies(b.species);
+  if (species.motility === "runTumble") runAndTumble(sim, b, species, dt);
+  else jitterDrift(b, species, dt);
 }
 
-export function helperBrain(scene, h, dt) {
-  let target = null;
-  let bestD2 = 999999;
+function jitterDrift(b, species, dt) {
+  const infected = b.infected === true;
+  const max = species.speed * (infected ? 0.53 : 1);
+
+  const jitter = species.jitter * (infected ? 0.55 : 1);
+
+  b.vx = clamp(b.vx + rng.float(-jitter, jitter) * dt, -max, max);
+  b.vy = clamp(b.vy + rng.float(-jitter, jitter) * dt, -max, max);
+
+  b.rotation = wrapAngle(b.rotation + (infected ? 0.5 : 0.2) * dt);
+}
+
+function runAndTumble(sim, b, species, dt) {
+  b.runTimer -= dt;
+
+  if (b.runTimer <= 0) {
+    // Tumble: new random heading. Chemotaxis: runs up the gradient last longer.
+    b.heading = rng.float(-Math.PI, Math.PI);
+    const uphill = angleBetween(b.x, b.y, sim.center.x, sim.center.y);
+    const alignment = Math.cos(b.heading - uphill);
+    b.runTimer = species.runSeconds * (1 + 0.8 * alignment) * rng.float(0.6, 1.4);
 
+    b.vx *= 0.2;
+    b.vy *= 0.2;
+  }
+
+  const speed = species.speed * (b.infected ? 0.35 : 0.9);
+  b.vx += (Math.cos(b.heading) * speed - b.vx) * Math.min(1, 4 * dt);
+  b.vy += (Math.sin(b.heading) * speed - b.vy) * Math.min(1, 4 * dt);
+
+  b.rotation = wrapAngle(rotateTo(b.rotation, b.heading, 5 * dt));
+}
+
+export function helperBrain(sim, h, dt) {
   const hx = h.x, hy = h.y;
+  const order = sim.helperOrder;
+  const anchor = orderAnchor(sim, order);
+  const radius = ORDER_RADIUS[order.type];
 
-  scene.bacteria.children.iterate((b) => {
-    if (!b || !b.active) return;
-    if (b.getData("infected")) return;
+  if (anchor && isAway(h, anchor, radius)) {
+    releaseClaim(sim, h);
+    h.state = "regroup";
+  } else {
+    const rule = targetRule(sim, h, order, anchor, radius);
+    if (!keepsClaim(h, rule)) claimTarget(sim, h, rule);
+    if (h.claim) h.state = "seek";
+    else h.state = anchor ? "patrol" : "wander";
+  }
 
-    const d2 = Phaser.Math.Distance.Squared(hx, hy, b.x, b.y);
-    if (d2 < bestD2) { bestD2 = d2; target = b; }
-  });
+  const target = h.claim;
+  const bestD2 = target ? dist2(hx, hy, target.x, target.y) : Infinity;
 
-  const isKiller = h.getData("killer") === true;
-  let cooldown = h.getData("cooldown") || 0;
-  cooldown = Math.max(0, cooldown - dt);
-  h.setData("cooldown", cooldown);
+  const isKiller = h.killer === true;
+  h.cooldown = Math.max(0, h.cooldown - dt);
+  const cooldown = h.cooldown;
 
-  if (target && bestD2 < 320 * 320) {
-    const to = new Phaser.Math.Vector2(target.x - hx, target.y - hy).normalize().scale(260);
-    h.body.setAcceleration(to.x, to.y);
+  if (h.state === "seek") {
+    const d = Math.sqrt(bestD2) || 1;
+    h.ax = ((target.x - hx) / d) * 260;
+    h.ay = ((target.y - hy) / d) * 260;
 
-    if (bestD2 < 70 * 70) {
-      const tangent = new Phaser.Math.Vector2(-(target.y - hy), target.x - hx).normalize().scale(160);
-      h.body.setAcceleration(tangent.x, tangent.y);
+    // Close by: a killer ready to strike settles onto its target, the rest orbit it
+    if (bestD2 < 70 * 70 && isKiller && cooldown <= 0) {
+      arrive(h, target, dt);
+    } else if (bestD2 < 70 * 70) {
+      h.ax = (-(target.y - hy) / d) * 160;
+      h.ay = ((target.x - hx) / d) * 160;
     }
 
-    h.rotation = Phaser.Math.Angle.RotateTo(
-      h.rotation,
-      Phaser.Math.Angle.Between(hx, hy, target.x, target.y),
-      6 * dt
-    );
+    h.rotation = wrapAngle(rotateTo(h.rotation, angleBetween(hx, hy, target.x, target.y), 6 * dt));
+  } else if (h.state === "regroup") {
+    arrive(h, anchor, dt);
+  } else if (h.state === "patrol") {
+    patrol(h, anchor, radius, dt);
   } else {
-    let a = h.getData("wanderAngle") || 0;
-    a += Phaser.Math.FloatBetween(-0.9, 0.9) * dt;
-    h.setData("wanderAngle", a);
+    let a = h.wanderAngle;
+    a += rng.float(-0.9, 0.9) * dt;
+    h.wanderAngle = a;
 
-    const force = new Phaser.Math.Vector2(Math.cos(a), Math.sin(a)).scale(160);
-    h.body.setAcceleration(force.x, force.y);
-    h.rotation = Phaser.Math.Angle.RotateTo(h.rotation, a, 3.5 * dt);
+    h.ax = Math.cos(a) * 160;
+    h.ay = Math.sin(a) * 160;
+    h.rotation = wrapAngle(rotateTo(h.rotation, a, 3.5 * dt));
   }
 
   if (isKiller && target && cooldown <= 0 && bestD2 < 34 * 34) {
-    const p = Phaser.Math.Clamp(scene.killerLysisChancePerSec * dt, 0, 1);
-    if (Math.random() < p) {
-      scene.lysis(target);
-      h.setData("cooldown", 1.5);
+    const p = clamp(sim.killerLysisChancePerSec * dt, 0, 1);
+    if (rng.random() < p) {
+      const reason = sim.infectionBlock(target, h);
+      if (reason) {
+        sim.events.push({ type: "attachBlocked", entity: target, by: "helper", reason });
+        releaseClaim(sim, h);
+      } else {
+        sim.lysis(target, "helper", h);
+      }
+      h.cooldown = reason ? 3 : 1.5;
 
-      const away = new Phaser.Math.Vector2(hx - target.x, hy - target.y).normalize().scale(220);
-      h.body.setVelocity(away.x, away.y);
+      const d = Math.sqrt(bestD2) || 1;
+      h.vx = ((hx - target.x) / d) * 220;
+      h.vy = ((hy - target.y) / d) * 220;
     }
   }
 }
+
+// Where the order holds the helpers: the player (rally), the marked spot (guard), or nowhere
+function orderAnchor(sim, order) {
+  if (order.type === "rally") return sim.player;
+  if (order.type === "guard") return order;
+  return null;
+}
+
+function isAway(h, anchor, radius) {
+  const d2 = dist2(h.x, h.y, anchor.x, anchor.y);
+  const r = h.state === "regroup" ? radius * REGROUP_DEPTH : radius;
+  return d2 > r * r;
+}
+
+// What this helper may target under the order, and how far (px) it looks
+function targetRule(sim, h, order, anchor, radius) {
+  if (order.type === "hunt") {
+    return { reach: Infinity, accept: (b) => b.hunted && !b.infected && !sim.infectionBlock(b, h) };
+  }
+
+  const canTarget = (b) => !b.infected && b.prophage === null && sim.fiberFits(b, h.fiber);
+  if (!anchor) return { reach: HELPER_SEEK_RANGE, accept: canTarget };
+
+  // The helper is inside the area, so anything in it is at most 2 radii away
+  const r2 = radius * radius;
+  return { reach: radius * 2, accept: (b) => dist2(b.x, b.y, anchor.x, anchor.y) <= r2 && canTarget(b) };
+}
+
+function keepsClaim(h, rule) {
+  const b = h.claim;
+  if (!b || b.claimedBy !== h) return false;
+
+  const reach = rule.reach * CLAIM_SLACK;
+  return rule.accept(b) && dist2(h.x, h.y, b.x, b.y) <= reach * reach;
+}
+
+function claimTarget(sim, h, rule) {
+  releaseClaim(sim, h);
+
+  const grid = sim.bacteriaGrid;
+  const unclaimed = (b) => b.claimedBy === null && rule.accept(b);
+  const apart = (b) => unclaimed(b) && !nearOtherClaim(sim, b);
+  const hit = grid.nearest(h.x, h.y, rule.reach, apart)
+    || grid.nearest(h.x, h.y, rule.reach, unclaimed)
+    || grid.nearest(h.x, h.y, rule.reach, rule.accept);
+  if (!hit) return;
+
+  h.claim = hit.entity;
+  if (hit.entity.claimedBy === null) {
+    hit.entity.claimedBy = h;
+    sim.claimGrid.insert(hit.entity);
+  }
+}
+
+function releaseClaim(sim, h) {
+  const b = h.claim;
+  if (!b) return;
+  if (b.claimedBy === h) {
+    b.claimedBy = null;
+    sim.claimGrid.remove(b);
+  }
+  h.claim = null;
+}
+
+// h has released its own claim by now, so every claim in the grid is another helper's
+function nearOtherClaim(sim, b) {
+  return sim.claimGrid.nearest(b.x, b.y, CLAIM_SPREAD) !== null;
+}
+
+// Steer toward anchor (any { x, y }), easing off on the way in so helpers don't overshoot it
+function arrive(h, anchor, dt) {
+  const dx = anchor.x - h.x;
+  const dy = anchor.y - h.y;
+  const d = Math.sqrt(dx * dx + dy * dy) || 1;
+  const speed = Math.min(HELPER_REGROUP_SPEED, d * 2);
+
+  h.ax = ((dx / d) * speed - h.vx) * 4;
+  h.ay = ((dy / d) * speed - h.vy) * 4;
+  h.rotation = wrapAngle(rotateTo(h.rotation, Math.atan2(dy, dx), 6 * dt));
+}
+
+// Circle the anchor about halfway out, drifting back onto that ring
+function patrol(h, anchor, radius, dt) {
+  const dx = h.x - anchor.x;
+  const dy = h.y - anchor.y;
+  const d = Math.sqrt(dx * dx + dy * dy) || 1;
+  const ring = radius * 0.5;
+  const pull = (ring - d) / ring;
+
+  h.ax = (-dy / d) * 140 + (dx / d) * pull * 200;
+  h.ay = (dx / d) * 140 + (dy / d) * pull * 200;
+  h.rotation = wrapAngle(rotateTo(h.rotation, angleBetween(0, 0, h.ax, h.ay), 4 * dt));
+}
@@ -0,0 +1,54 @@
+/**
+ * @file src/systems/campaign.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Campaign progress, saved per campaign id so a class can work through a
+ * lesson plan over several sessions.
+ *
+ * Exports:
+ * - loadProgress(campaignId): { completed: { [levelId]: { bestScore, bestSeconds } } }
+ * - recordLevelResult(campaignId, levelId, { won, score, seconds }): saves a win
+ * - isUnlocked(campaign, progress, index): first level, or previous one completed
+ * - resetProgress(campaignId)
+ */
+
+
+import { loadJSON, saveJSON, removeKey } from "./storage.js";
+
+function storageKey(campaignId) {
+  return `campaign:${campaignId}`;
+}
+
+export function loadProgress(campaignId) {
+  const progress = loadJSON(storageKey(campaignId), null);
+  if (!progress || typeof progress.completed !== "object" || progress.completed === null) {
+    return { completed: {} };
+  }
+  return progress;
+}
+
+export function recordLevelResult(campaignId, levelId, result) {
+  if (!result.won) return loadProgress(campaignId);
+
+  const progress = loadProgress(campaignId);
+  const prev = progress.completed[levelId];
+
+  progress.completed[levelId] = {
+    bestScore: prev ? Math.max(prev.bestScore, result.score) : result.score,
+    bestSeconds: prev ? Math.min(prev.bestSeconds, result.seconds) : result.seconds
+  };
+
+  saveJSON(storageKey(campaignId), progress);
+  return progress;
+}
+
+export function isUnlocked(campaign, progress, index) {
+  if (index === 0) return true;
+  const prev = campaign.levels[index - 1];
+  return Boolean(prev && progress.completed[prev.id]);
+}
+
+export function resetProgress(campaignId) {
+  removeKey(storageKey(campaignId));
+}
@@ -0,0 +1,136 @@
+/**
+ * @file src/systems/codex.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * The lab notebook: short biology entries that unlock the first time the
+ * player sees the thing they describe happen in the dish. CodexScene shows
+ * them; GameScene hands every simulation event to discoveriesFor().
+ *
+ * Entries:
+ * - section: "cycle" | "species" | "mechanics" (the notebook's headings)
+ * - diagram: texture key drawn by systems/diagrams.js
+ * - unlockedBy(ev): true for the simulation event (systems/simulation.js)
+ *   that unlocks the entry
+ * - The title and text are the "codex.<id>.title" / "codex.<id>.body"
+ *   strings (systems/i18n.js)
+ *
+ * Exports:
+ * - CODEX_ENTRIES (in notebook order), CODEX_SECTIONS
+ * - loadCodex(): Set of unlocked entry ids
+ * - saveCodex(unlocked): returns false if storage is full or blocked
+ * - discoveriesFor(ev, unlocked): ids of the entries ev unlocks that are not
+ *   unlocked yet (the caller adds and saves them)
+ *
+ * Notes:
+ * - Unlocks are kept in the browser between sessions; ids no longer in
+ *   CODEX_ENTRIES are dropped on load
+ */
+
+
+import { loadJSON, saveJSON } from "./storage.js";
+
+const STORAGE_KEY = "codex";
+
+export const CODEX_SECTIONS = ["cycle", "species", "mechanics"];
+
+export const CODEX_ENTRIES = {
+  // The lytic cycle, in the order it happens
+  attachment: {
+    section: "cycle",
+    diagram: "diagram-attachment",
+    unlockedBy: (ev) => ev.type === "injectStarted"
+  },
+  injection: {
+    section: "cycle",
+    diagram: "diagram-injection",
+    unlockedBy: (ev) => ev.type === "injectStarted"
+  },
+  lysis: {
+    section: "cycle",
+    diagram: "diagram-lysis",
+    unlockedBy: (ev) => ev.type === "lysis"
+  },
+  replication: {
+    section: "cycle",
+    diagram: "diagram-replication",
+    unlockedBy: (ev) => ev.type === "lysis" && ev.by === "helper"
+  },
+  overgrowth: {
+    section: "cycle",
+    diagram: "diagram-overgrowth",
+    unlockedBy: (ev) => ev.type === "ended" && ev.reason === "overrun"
+  },
+
+  // One per species (systems/species.js), from its first lysis
+  rod: {
+    section: "species",
+    diagram: "diagram-rod",
+    unlockedBy: (ev) => ev.type === "lysis" && ev.entity.species === "rod"
+  },
+  coccus: {
+    section: "species",
+    diagram: "diagram-coccus",
+    unlockedBy: (ev) => ev.type === "lysis" && ev.entity.species === "coccus"
+  },
+  spirillum: {
+    section: "species",
+    diagram: "diagram-spirillum",
+    unlockedBy: (ev) => ev.type === "lysis" && ev.entity.species === "spirillum"
+  },
+
+  // Rule groups a level can switch on
+  burst: {
+    section: "mechanics",
+    diagram: "diagram-burst",
+    unlockedBy: (ev) => ev.type === "burst"
+  },
+  tailFibers: {
+    section: "mechanics",
+    diagram: "diagram-tailFibers",
+    unlockedBy: (ev) => ev.type === "fiberChanged" || (ev.type === "attachBlocked" && ev.reason === "fiber")
+  },
+  receptors: {
+    section: "mechanics",
+    diagram: "diagram-receptors",
+    unlockedBy: (ev) => ev.type === "attachBlocked" && ev.reason === "receptor"
+  },
+  crispr: {
+    section: "mechanics",
+    diagram: "diagram-crispr",
+    unlockedBy: (ev) => ev.type === "spacerAcquired"
+  },
+  mutation: {
+    section: "mechanics",
+    diagram: "diagram-mutation",
+    unlockedBy: (ev) => ev.type === "phageMutated"
+  },
+  lysogeny: {
+    section: "mechanics",
+    diagram: "diagram-lysogeny",
+    unlockedBy: (ev) => ev.type === "integrated"
+  },
+  induction: {
+    section: "mechanics",
+    diagram: "diagram-induction",
+    unlockedBy: (ev) => ev.type === "induced"
+  }
+};
+
+export function loadCodex() {
+  const data = loadJSON(STORAGE_KEY, null);
+  const ids = data && Array.isArray(data.unlocked) ? data.unlocked : [];
+  return new Set(ids.filter((id) => id in CODEX_ENTRIES));
+}
+
+export function saveCodex(unlocked) {
+  return saveJSON(STORAGE_KEY, { unlocked: [...unlocked] });
+}
+
+export function discoveriesFor(ev, unlocked) {
+  const found = [];
+  for (const [id, entry] of Object.entries(CODEX_ENTRIES)) {
+    if (!unlocked.has(id) && entry.unlockedBy(ev)) found.push(id);
+  }
+  return found;
+}
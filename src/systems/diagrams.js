@@ -0,0 +1,361 @@
+/**
+ * @file src/systems/diagrams.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Procedural diagrams for the lab notebook (CodexScene), drawn with Phaser
+ * Graphics the same way systems/textures.js draws the sprites.
+ *
+ * Responsibilities:
+ * - Generate one DIAGRAM_W x DIAGRAM_H texture per notebook entry, keyed by
+ *   the entry's diagram field (systems/codex.js)
+ * - Colour species, receptors and flashes from a palette (systems/palettes.js)
+ *
+ * Exports:
+ * - DIAGRAM_W, DIAGRAM_H
+ * - makeDiagrams(scene, palette)
+ *
+ * Notes:
+ * - Called from makeTextures(), so a palette change redraws the diagrams too
+ * - Diagrams carry no text: the entry's title and body say what they show
+ */
+
+
+import { RECEPTORS } from "./receptors.js";
+
+export const DIAGRAM_W = 300;
+export const DIAGRAM_H = 170;
+
+const INK = 0xb7f0ff;
+const TAIL = 0x7bd2ff;
+const DNA = 0xffe9b0;
+const CHROMOSOME = 0x9cc6ff;
+const BACKDROP = 0x0b2432;
+
+export function makeDiagrams(scene, palette) {
+  function tex(key, drawFn) {
+    if (scene.textures.exists(key)) scene.textures.get(key).clear();
+
+    const g = scene.make.graphics({ x: 0, y: 0, add: false });
+    g.fillStyle(BACKDROP, 1);
+    g.fillRoundedRect(0, 0, DIAGRAM_W, DIAGRAM_H, 14);
+    drawFn(g);
+    g.generateTexture(key, DIAGRAM_W, DIAGRAM_H);
+    g.destroy();
+  }
+
+  const receptorColor = (key) => palette.receptors[key] ?? RECEPTORS[key].color;
+
+  // Phage standing on (x, y) with its legs, s = capsid radius; fiber tints the leg tips
+  function phage(g, x, y, s, fiber = null) {
+    g.lineStyle(Math.max(1.5, s * 0.22), INK, 0.9);
+    g.beginPath();
+    g.moveTo(x, y - s * 1.3); g.lineTo(x - s, y);
+    g.moveTo(x, y - s * 1.3); g.lineTo(x + s, y);
+    g.strokePath();
+
+    if (fiber !== null) {
+      g.fillStyle(fiber, 1);
+      g.fillCircle(x - s, y, Math.max(2, s * 0.25));
+      g.fillCircle(x + s, y, Math.max(2, s * 0.25));
+    }
+
+    g.lineStyle(Math.max(2, s * 0.35), TAIL, 1);
+    g.beginPath();
+    g.moveTo(x, y - s * 1.2); g.lineTo(x, y - s * 2.4);
+    g.strokePath();
+
+    g.fillStyle(INK, 1);
+    g.fillCircle(x, y - s * 3.2, s);
+  }
+
+  // Loose DNA strand along a sine wave from (x1, y) to (x2, y)
+  function strand(g, x1, x2, y, amp, waves, color = DNA) {
+    g.lineStyle(2.5, color, 0.95);
+    g.beginPath();
+    for (let x = x1; x <= x2; x += 2) {
+      const py = y + Math.sin(((x - x1) / (x2 - x1)) * Math.PI * 2 * waves) * amp;
+      if (x === x1) g.moveTo(x, py);
+      else g.lineTo(x, py);
+    }
+    g.strokePath();
+  }
+
+  function arrow(g, x1, y1, x2, y2, color = INK) {
+    const a = Math.atan2(y2 - y1, x2 - x1);
+    g.lineStyle(2.5, color, 0.8);
+    g.beginPath();
+    g.moveTo(x1, y1); g.lineTo(x2, y2);
+    g.strokePath();
+    g.fillStyle(color, 0.8);
+    g.fillTriangle(
+      x2, y2,
+      x2 - Math.cos(a - 0.45) * 10, y2 - Math.sin(a - 0.45) * 10,
+      x2 - Math.cos(a + 0.45) * 10, y2 - Math.sin(a + 0.45) * 10
+    );
+  }
+
+  // Close-up of a cell wall: the cell fills the bottom of the diagram
+  function wall(g, color) {
+    g.fillStyle(color, 0.25);
+    g.fillRect(0, 110, DIAGRAM_W, DIAGRAM_H - 110);
+    g.lineStyle(4, color, 0.9);
+    g.beginPath();
+    g.moveTo(0, 110); g.lineTo(DIAGRAM_W, 110);
+    g.strokePath();
+  }
+
+  function receptorDot(g, key, x, y, r) {
+    const shape = RECEPTORS[key].shape;
+    g.fillStyle(receptorColor(key), 1);
+    if (shape === "square") g.fillRect(x - r * 0.85, y - r * 0.85, r * 1.7, r * 1.7);
+    else if (shape === "triangle") g.fillTriangle(x, y - r * 1.2, x - r * 1.1, y + r * 0.8, x + r * 1.1, y + r * 0.8);
+    else g.fillCircle(x, y, r);
+  }
+
+  // Whole cell of a species, centred on (x, y), about 2 * s across
+  function cell(g, species, x, y, s) {
+    const color = palette.species[species];
+    if (species === "coccus") {
+      g.fillStyle(color, 1);
+      g.fillCircle(x - s * 0.5, y, s * 0.5);
+      g.fillCircle(x + s * 0.5, y, s * 0.5);
+    } else if (species === "spirillum") {
+      g.lineStyle(s * 0.22, color, 1);
+      g.beginPath();
+      for (let i = 0; i <= 40; i++) {
+        const px = x - s + (i / 40) * s * 2;
+        const py = y + Math.sin((i / 40) * Math.PI * 3) * s * 0.22;
+        if (i === 0) g.moveTo(px, py);
+        else g.lineTo(px, py);
+      }
+      g.strokePath();
+    } else {
+      g.fillStyle(color, 1);
+      g.fillRoundedRect(x - s, y - s * 0.4, s * 2, s * 0.8, s * 0.4);
+    }
+  }
+
+  function crossOut(g, x, y, r, color) {
+    g.lineStyle(3, color, 0.95);
+    g.beginPath();
+    g.moveTo(x - r, y - r); g.lineTo(x + r, y + r);
+    g.moveTo(x + r, y - r); g.lineTo(x - r, y + r);
+    g.strokePath();
+  }
+
+  // Ring chromosome with an optional prophage arc from a0 to a1 (radians)
+  function chromosome(g, x, y, r, a0 = null, a1 = null) {
+    g.lineStyle(4, CHROMOSOME, 0.9);
+    g.strokeCircle(x, y, r);
+    if (a0 === null) return;
+    g.lineStyle(7, palette.prophage, 1);
+    g.beginPath();
+    g.arc(x, y, r, a0, a1, false);
+    g.strokePath();
+  }
+
+  const rod = palette.species.rod;
+
+  // Tail fibers land on receptors in the wall
+  tex("diagram-attachment", (g) => {
+    wall(g, rod);
+    for (let x = 30; x < DIAGRAM_W; x += 60) receptorDot(g, "ompC", x, 106, 5);
+    phage(g, 150, 106, 14);
+    arrow(g, 70, 40, 120, 70);
+    phage(g, 60, 52, 8);
+  });
+
+  // Genome travels down the tail into the cell
+  tex("diagram-injection", (g) => {
+    wall(g, rod);
+    phage(g, 150, 110, 14);
+    g.fillStyle(BACKDROP, 1);
+    g.fillCircle(150, 65, 11);
+    g.lineStyle(2, INK, 0.9);
+    g.strokeCircle(150, 65, 14);
+    strand(g, 150, 240, 140, 8, 3);
+    g.lineStyle(2.5, DNA, 0.95);
+    g.beginPath();
+    g.moveTo(150, 95); g.lineTo(150, 140);
+    g.strokePath();
+  });
+
+  // Wall torn open, new phages spilling out
+  tex("diagram-lysis", (g) => {
+    g.lineStyle(6, rod, 0.85);
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      g.beginPath();
+      g.arc(150, 90, 48, a, a + 0.5, false);
+      g.strokePath();
+    }
+    for (let i = 0; i < 7; i++) {
+      const a = (i / 7) * Math.PI * 2 + 0.3;
+      phage(g, 150 + Math.cos(a) * 70, 90 + Math.sin(a) * 52 + 10, 5);
+    }
+    phage(g, 150, 104, 6);
+  });
+
+  // Inside the host: copies of the genome and new capsids being built
+  tex("diagram-replication", (g) => {
+    cell(g, "rod", 150, 85, 120);
+    g.fillStyle(BACKDROP, 0.35);
+    g.fillRoundedRect(40, 48, 220, 74, 30);
+    for (let i = 0; i < 3; i++) strand(g, 60, 130, 62 + i * 22, 4, 2);
+    for (let i = 0; i < 6; i++) {
+      const x = 160 + (i % 3) * 32;
+      const y = 66 + Math.floor(i / 3) * 36;
+      g.fillStyle(INK, i < 4 ? 1 : 0.35);
+      g.fillCircle(x, y, 9);
+      if (i < 4) {
+        g.lineStyle(3, TAIL, 1);
+        g.beginPath();
+        g.moveTo(x, y + 9); g.lineTo(x, y + 18);
+        g.strokePath();
+      }
+    }
+  });
+
+  // The dish filling up faster than phages can clear it
+  tex("diagram-overgrowth", (g) => {
+    g.fillStyle(0x0c2233, 1);
+    g.fillCircle(150, 85, 76);
+    const species = ["rod", "coccus", "spirillum"];
+    for (let ring = 0; ring < 3; ring++) {
+      const count = 6 + ring * 6;
+      for (let i = 0; i < count; i++) {
+        const a = (i / count) * Math.PI * 2 + ring;
+        const r = 16 + ring * 22;
+        cell(g, species[(i + ring) % 3], 150 + Math.cos(a) * r, 85 + Math.sin(a) * r, 9);
+      }
+    }
+    phage(g, 150, 92, 5);
+  });
+
+  // One large cell per species
+  tex("diagram-rod", (g) => {
+    cell(g, "rod", 150, 85, 90);
+    g.fillStyle(0xffffff, 0.18);
+    g.fillRoundedRect(80, 60, 60, 14, 7);
+    g.lineStyle(1.5, 0xffffff, 0.5);
+    g.beginPath();
+    g.moveTo(240, 85); g.lineTo(270, 70); g.lineTo(285, 90);
+    g.strokePath();
+  });
+
+  tex("diagram-coccus", (g) => {
+    cell(g, "coccus", 150, 85, 100);
+    g.fillStyle(0xffffff, 0.2);
+    g.fillCircle(85, 60, 14);
+    g.fillCircle(185, 60, 14);
+    g.lineStyle(3, BACKDROP, 0.6);
+    g.beginPath();
+    g.moveTo(150, 45); g.lineTo(150, 125);
+    g.strokePath();
+  });
+
+  tex("diagram-spirillum", (g) => {
+    cell(g, "spirillum", 150, 85, 110);
+    g.lineStyle(1.5, DNA, 0.8);
+    g.beginPath();
+    g.moveTo(40, 85); g.lineTo(20, 70); g.lineTo(10, 80);
+    g.moveTo(260, 85); g.lineTo(280, 100); g.lineTo(290, 90);
+    g.strokePath();
+  });
+
+  // Shock ring pushing phages outwards
+  tex("diagram-burst", (g) => {
+    g.lineStyle(5, 0xc9ffea, 0.4);
+    g.strokeCircle(150, 85, 46);
+    g.lineStyle(2, 0xffffff, 0.2);
+    g.strokeCircle(150, 85, 58);
+    phage(g, 150, 100, 9);
+    for (let i = 0; i < 6; i++) {
+      const a = (i / 6) * Math.PI * 2;
+      arrow(g, 150 + Math.cos(a) * 64, 85 + Math.sin(a) * 64, 150 + Math.cos(a) * 84, 85 + Math.sin(a) * 80, 0xc9ffea);
+    }
+  });
+
+  // One phage, three fiber types it could carry
+  tex("diagram-tailFibers", (g) => {
+    Object.keys(RECEPTORS).forEach((key, i) => {
+      const x = 60 + i * 90;
+      phage(g, x, 130, 13, receptorColor(key));
+      receptorDot(g, key, x, 152, 6);
+    });
+  });
+
+  // Only the receptor that matches the fiber lets the phage bind
+  tex("diagram-receptors", (g) => {
+    wall(g, rod);
+    Object.keys(RECEPTORS).forEach((key, i) => {
+      const x = 60 + i * 90;
+      receptorDot(g, key, x, 104, 7);
+      phage(g, x, i === 0 ? 98 : 70, 10, receptorColor("ompC"));
+      if (i > 0) crossOut(g, x, 84, 7, palette.blocked);
+    });
+  });
+
+  // Repeat-spacer array with a new spacer at the front
+  tex("diagram-crispr", (g) => {
+    for (let i = 0; i < 5; i++) {
+      const x = 30 + i * 50;
+      g.fillStyle(CHROMOSOME, 0.9);
+      g.fillTriangle(x, 85, x + 8, 75, x + 16, 85);
+      g.fillTriangle(x, 85, x + 8, 95, x + 16, 85);
+      g.fillStyle(i === 0 ? palette.spacer : 0x5a7890, 1);
+      g.fillRect(x + 20, 77, 26, 16);
+    }
+    strand(g, 40, 110, 35, 5, 2);
+    arrow(g, 75, 48, 62, 70, palette.spacer);
+    phage(g, 230, 150, 7);
+    crossOut(g, 230, 128, 12, palette.blocked);
+  });
+
+  // Two copies of a genome, one letter changed
+  tex("diagram-mutation", (g) => {
+    for (let row = 0; row < 2; row++) {
+      const y = 55 + row * 60;
+      g.lineStyle(3, CHROMOSOME, 0.8);
+      g.beginPath();
+      g.moveTo(30, y); g.lineTo(270, y);
+      g.strokePath();
+      for (let i = 0; i < 10; i++) {
+        const changed = row === 1 && i === 6;
+        g.fillStyle(changed ? palette.hunt : DNA, changed ? 1 : 0.7);
+        g.fillRect(36 + i * 24, y - 12, 12, changed ? 24 : 12);
+      }
+    }
+    arrow(g, 150, 70, 150, 98);
+  });
+
+  // Phage genome stitched into the host chromosome, copied with every division
+  tex("diagram-lysogeny", (g) => {
+    g.lineStyle(3, rod, 0.8);
+    g.strokeRoundedRect(20, 35, 120, 100, 40);
+    chromosome(g, 80, 85, 30, -0.6, 0.4);
+    arrow(g, 150, 85, 175, 85);
+    g.strokeRoundedRect(185, 30, 100, 52, 24);
+    g.strokeRoundedRect(185, 92, 100, 52, 24);
+    chromosome(g, 235, 56, 16, -0.6, 0.4);
+    chromosome(g, 235, 118, 16, -0.6, 0.4);
+  });
+
+  // Stress cuts the prophage back out and the lytic cycle starts
+  tex("diagram-induction", (g) => {
+    chromosome(g, 80, 85, 40);
+    g.lineStyle(6, BACKDROP, 1);
+    g.beginPath();
+    g.arc(80, 85, 40, -0.6, 0.4, false);
+    g.strokePath();
+    g.lineStyle(6, palette.prophage, 1);
+    g.strokeEllipse(150, 60, 34, 22);
+    arrow(g, 118, 70, 132, 64, palette.prophage);
+    g.fillStyle(palette.hunt, 1);
+    g.fillTriangle(40, 20, 30, 45, 44, 40);
+    g.fillTriangle(44, 40, 34, 65, 52, 36);
+    arrow(g, 180, 85, 215, 85);
+    for (let i = 0; i < 3; i++) phage(g, 240 + i * 20, 110 - (i % 2) * 20, 5);
+  });
+}
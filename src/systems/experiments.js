@@ -0,0 +1,136 @@
+/**
+ * @file src/systems/experiments.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Sandbox rules and the named experiments players save from SandboxScene.
+ * An experiment is a value for each tunable GAME_SETTINGS field; the
+ * sandbox runs them with nothing to win or lose.
+ *
+ * Exports:
+ * - SANDBOX_PARAMS: the tunable fields, in panel order. key is the
+ *   GAME_SETTINGS path ("growth.*" for the division ramp); step / min / max
+ *   bound the panel's -/+ buttons
+ * - defaultValues(): { key: value } taken from GAME_SETTINGS
+ * - nudgeValue(param, value, dir): value moved dir steps, kept in range
+ * - formatValue(param, value): value with as many decimals as the step
+ * - sandboxSettings(values): Simulation settings for the sandbox
+ * - loadExperiments(): [{ name, values }], oldest first
+ * - saveExperiment(name, values): adds it, or replaces one of the same name;
+ *   returns false if storage is full or blocked
+ * - deleteExperiment(name)
+ *
+ * Notes:
+ * - The sandbox switches off every win / lose condition and the optional
+ *   rule groups (burst, resistance, lysogeny, tail fibers), so a lysis
+ *   spawns helpers directly and only the panel's fields shape the dish
+ * - Only the newest MAX_EXPERIMENTS are kept (the panel lists them all)
+ * - Stored values outside a field's range are pulled back into it, and
+ *   fields added since an experiment was saved get their defaults
+ */
+
+
+import { GAME_SETTINGS } from "../config.js";
+import { clamp } from "./geometry.js";
+import { loadJSON, saveJSON } from "./storage.js";
+
+const STORAGE_KEY = "experiments";
+const MAX_EXPERIMENTS = 6;
+
+// Cells in the dish when the sandbox opens
+const SANDBOX_START_BACTERIA = 4;
+
+export const SANDBOX_PARAMS = [
+  { key: "killerHelperChance", step: 0.05, min: 0, max: 1 },
+  { key: "killerLysisChancePerSec", step: 0.05, min: 0, max: 2 },
+  { key: "baseInjectDuration", step: 50, min: 100, max: 3000 },
+  { key: "maxHelpers", step: 1, min: 0, max: 40 },
+  { key: "growth.baseAttempts", step: 1, min: 0, max: 10 },
+  { key: "growth.baseChance", step: 0.05, min: 0, max: 1 },
+  { key: "growth.timeScale", step: 5, min: 5, max: 300 },
+  { key: "growth.timeRampMax", step: 0.2, min: 0, max: 6 },
+  { key: "growth.timeChance", step: 0.02, min: 0, max: 1 },
+  { key: "growth.popScale", step: 2, min: 2, max: 100 },
+  { key: "growth.popRampMax", step: 0.2, min: 0, max: 6 },
+  { key: "growth.popChance", step: 0.02, min: 0, max: 1 },
+  { key: "growth.maxChance", step: 0.05, min: 0, max: 1 },
+  { key: "growth.cap", step: 10, min: 10, max: 300 }
+];
+
+function digits(param) {
+  const fraction = String(param.step).split(".")[1];
+  return fraction ? fraction.length : 0;
+}
+
+function settingAt(settings, key) {
+  return key.split(".").reduce((obj, part) => obj[part], settings);
+}
+
+export function defaultValues() {
+  return Object.fromEntries(SANDBOX_PARAMS.map((p) => [p.key, settingAt(GAME_SETTINGS, p.key)]));
+}
+
+export function nudgeValue(param, value, dir) {
+  const next = clamp(value + dir * param.step, param.min, param.max);
+  return Number(next.toFixed(digits(param)));
+}
+
+export function formatValue(param, value) {
+  return value.toFixed(digits(param));
+}
+
+export function sandboxSettings(values) {
+  const settings = {
+    ...GAME_SETTINGS,
+    neededToWin: null,
+    loseThreshold: null,
+    surviveSeconds: null,
+    timeLimit: null,
+    startBacteria: SANDBOX_START_BACTERIA,
+    burst: null,
+    resistance: null,
+    lysogeny: null,
+    tailFibers: null,
+    growth: { ...GAME_SETTINGS.growth }
+  };
+
+  for (const p of SANDBOX_PARAMS) {
+    const path = p.key.split(".");
+    const last = path.pop();
+    const target = path.length ? settingAt(settings, path.join(".")) : settings;
+    target[last] = values[p.key];
+  }
+  return settings;
+}
+
+// Known fields only, in range; missing or broken ones fall back to the defaults
+function parseValues(data) {
+  const values = defaultValues();
+  if (!data || typeof data !== "object") return values;
+
+  for (const p of SANDBOX_PARAMS) {
+    const v = data[p.key];
+    if (typeof v === "number" && Number.isFinite(v)) values[p.key] = clamp(v, p.min, p.max);
+  }
+  return values;
+}
+
+export function loadExperiments() {
+  const data = loadJSON(STORAGE_KEY, null);
+  const list = data && Array.isArray(data.experiments) ? data.experiments : [];
+  return list
+    .filter((e) => e && typeof e.name === "string" && e.name.length > 0)
+    .map((e) => ({ name: e.name, values: parseValues(e.values) }));
+}
+
+export function saveExperiment(name, values) {
+  const experiments = loadExperiments().filter((e) => e.name !== name);
+  experiments.push({ name, values: { ...values } });
+  if (experiments.length > MAX_EXPERIMENTS) experiments.splice(0, experiments.length - MAX_EXPERIMENTS);
+  return saveJSON(STORAGE_KEY, { experiments });
+}
+
+export function deleteExperiment(name) {
+  const experiments = loadExperiments().filter((e) => e.name !== name);
+  saveJSON(STORAGE_KEY, { experiments });
+}
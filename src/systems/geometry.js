@@ -4,23 +4,37 @@
  * @version 0.0.1
  * @description
  * Geometry/math helpers for the circular petri dish play area.
+ * Plain JS (no Phaser) so the simulation can run under Node.
  *
  * Exports:
- * - randomPointInDish(center, radius):
+ * - randomPointInDish(center, radius, random?):
  *   Returns a uniformly distributed random point inside a circle.
+ *   random() defaults to the shared seeded rng; cosmetic callers pass
+ *   their own source so they don't consume gameplay rolls.
  *
- * - clampToDishPoint(center, radius, pointVec):
- *   Clamps a Phaser.Vector2 point to remain within the circle boundary.
+ * - clampToDishPoint(center, radius, point):
+ *   Clamps an {x, y} point to remain within the circle boundary.
+ *
+ * - clamp(v, min, max), dist2(ax, ay, bx, by), angleBetween(ax, ay, bx, by):
+ *   Scalar helpers matching Phaser.Math.Clamp / Distance.Squared / Angle.Between.
+ *
+ * - wrapAngle(a), rotateTo(current, target, step):
+ *   Angle helpers matching Phaser.Math.Angle.Wrap / Angle.RotateTo.
  *
  * Notes:
- * - clampToDishPoint returns a Phaser.Math.Vector2
- * - randomPointInDish returns a plain object {x, y}
+ * - Points are plain objects {x, y}
+ * - randomPointInDish draws from the shared seeded rng (systems/rng.js)
+ *   unless given another random source
  */
 
 
-export function randomPointInDish(center, radius) {
-  const t = Math.random() * Math.PI * 2;
-  const u = Math.random() + Math.random();
+import { rng } from "./rng.js";
+
+const PI2 = Math.PI * 2;
+
+export function randomPointInDish(center, radius, random = () => rng.random()) {
+  const t = random() * Math.PI * 2;
+  const u = random() + random();
   const r = u > 1 ? 2 - u : u;
   return {
     x: center.x + Math.cos(t) * r * radius,
@@ -28,9 +42,45 @@ export function randomPointInDish(center, radius) {
   };
 }
 
-export function clampToDishPoint(center, radius, pointVec) {
-  const to = pointVec.clone().subtract(center);
-  if (to.length() <= radius) return pointVec;
-  to.setLength(radius);
-  return new Phaser.Math.Vector2(center.x + to.x, center.y + to.y);
+export function clampToDishPoint(center, radius, point) {
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  const len = Math.sqrt(dx * dx + dy * dy);
+  if (len <= radius) return point;
+  return {
+    x: center.x + (dx / len) * radius,
+    y: center.y + (dy / len) * radius
+  };
+}
+
+export function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+export function dist2(ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  return dx * dx + dy * dy;
+}
+
+export function angleBetween(ax, ay, bx, by) {
+  return Math.atan2(by - ay, bx - ax);
+}
+
+export function wrapAngle(a) {
+  return ((((a + Math.PI) % PI2) + PI2) % PI2) - Math.PI;
+}
+
+export function rotateTo(current, target, step) {
+  if (current === target) return current;
+
+  const diff = Math.abs(target - current);
+  if (diff <= step || diff >= PI2 - step) return target;
+
+  if (diff > Math.PI) {
+    if (target < current) target += PI2;
+    else target -= PI2;
+  }
+
+  return target > current ? current + step : current - step;
 }
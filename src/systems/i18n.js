@@ -0,0 +1,123 @@
+/**
+ * @file src/systems/i18n.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * String tables for every player-facing text. Each language is a flat JSON
+ * file in assets/locales/ (key -> text); the player picks one in
+ * SettingsScene and every scene asks t() for its words.
+ *
+ * Locale file:
+ *   {
+ *     "hud.score": "Score: {score}",
+ *     "hud.lysogens": { "one": "{count} lysogen", "other": "{count} lysogens" }
+ *   }
+ *
+ * Exports:
+ * - LANGUAGES: language code -> its own name, in the order SettingsScene cycles them
+ * - DEFAULT_LANGUAGE
+ * - queueLocales(loader): loads every locale file
+ * - setLanguage(scene, code): switches t() to code's table (English fills any gaps)
+ * - getLanguage(): code of the language in use
+ * - t(key, params): the text for key with {name} placeholders filled from params
+ * - levelName(level) / levelIntro(level, params) / campaignName(campaign):
+ *   level text in the current language, falling back to the level file's own.
+ *   An intro names controls through {mutate}, {induce} and {integrate}, which
+ *   params fills from the player's bindings and input mode
+ * - systemLanguage(): the browser's language if there is a table for it, else English
+ *
+ * Notes:
+ * - Plurals: an entry may be an object keyed by plural category ("zero",
+ *   "one", "two", "few", "many", "other"); params.count picks the category
+ *   with Intl.PluralRules for the current language, and "other" is the fallback
+ * - Level files stay in English; a locale adds "level.<id>.name",
+ *   "level.<id>.intro" and "campaign.<id>.name" to translate them
+ * - A key missing from every table comes back as the key itself, so gaps
+ *   show up on screen instead of as blank text
+ * - Sinhala and Tamil need fonts outside most Latin stacks; UI_FONT
+ *   (systems/ui.js) lists fallbacks for them
+ */
+
+
+export const LANGUAGES = {
+  en: "English",
+  es: "Español",
+  si: "සිංහල",
+  ta: "தமிழ்"
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const LOCALE_DIR = "assets/locales/";
+
+let language = DEFAULT_LANGUAGE;
+let table = {};
+let fallback = {};
+let pluralRules = null;
+
+export function queueLocales(loader) {
+  for (const code in LANGUAGES) loader.json(`locale:${code}`, `${LOCALE_DIR}${code}.json`);
+}
+
+export function setLanguage(scene, code) {
+  language = code in LANGUAGES ? code : DEFAULT_LANGUAGE;
+  fallback = scene.cache.json.get(`locale:${DEFAULT_LANGUAGE}`) || {};
+  table = scene.cache.json.get(`locale:${language}`) || {};
+  pluralRules = typeof Intl !== "undefined" && Intl.PluralRules ? new Intl.PluralRules(language) : null;
+
+  // Screen readers pick their voice from the page language
+  if (typeof document !== "undefined") document.documentElement.lang = language;
+}
+
+export function getLanguage() {
+  return language;
+}
+
+export function systemLanguage() {
+  if (typeof navigator === "undefined" || !navigator.language) return DEFAULT_LANGUAGE;
+  const code = navigator.language.split("-")[0].toLowerCase();
+  return code in LANGUAGES ? code : DEFAULT_LANGUAGE;
+}
+
+function pluralCategory(count) {
+  if (pluralRules) return pluralRules.select(count);
+  return count === 1 ? "one" : "other";
+}
+
+function lookup(key) {
+  if (key in table) return table[key];
+  if (key in fallback) return fallback[key];
+  return undefined;
+}
+
+function format(entry, params) {
+  let text = entry;
+  if (text && typeof text === "object") {
+    text = text[pluralCategory(params.count)] ?? text.other;
+  }
+  if (typeof text !== "string") return null;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function t(key, params = {}) {
+  const text = format(lookup(key), params);
+  return text === null ? key : text;
+}
+
+// A translated entry if some table has one, else the given English text
+function tOr(key, text, params = {}) {
+  const entry = lookup(key);
+  return format(entry === undefined ? text : entry, params) ?? text;
+}
+
+export function levelName(level) {
+  return tOr(`level.${level.id}.name`, level.name);
+}
+
+export function levelIntro(level, params = {}) {
+  return level.intro ? tOr(`level.${level.id}.intro`, level.intro, params) : "";
+}
+
+export function campaignName(campaign) {
+  return tOr(`campaign.${campaign.id}.name`, campaign.name);
+}
@@ -0,0 +1,136 @@
+/**
+ * @file src/systems/input.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Input layer between the devices and GameScene: the keyboard and gamepad
+ * are read here, through the player's bindings (systems/preferences.js),
+ * and turned into named actions and a held move direction.
+ *
+ * Exports:
+ * - InputController(scene, prefs, onAction):
+ *   - onAction(action, device) is called once per press; device is
+ *     "keyboard" or "gamepad" (gamepad actions have no pointer to aim with)
+ *   - readMove(): { left, right, up, down, stick } from the bound keys, arrow
+ *     keys, d-pad and (when touch is set) the touch joystick; stick is the
+ *     left stick's { x, y } (each -1..1) past the deadzone, or null
+ *   - touch: a TouchControls (systems/touch.js) in touch mode, else null
+ *   - setPreferences(prefs): re-reads the bindings (after SettingsScene)
+ *   - destroy()
+ *
+ * Notes:
+ * - Actions are the binding names: up/left/down/right, attach, integrate,
+ *   deploy, mutate, induce, rally, guard, hunt, free, pause
+ * - The left stick is analog: its push past the deadzone sets the speed. It
+ *   is rounded to hundredths, the precision a replay stores (systems/replay.js),
+ *   so a gamepad run replays exactly
+ * - Switch-access devices that send key presses (Space/Enter) work through
+ *   the keyboard bindings
+ * - Keys stay registered with the scene's keyboard when bindings change or
+ *   the controller is destroyed; only the controller's own listeners go
+ * - The gamepad plugin is optional: without it (or without a pad) only the
+ *   keyboard is read
+ */
+
+
+import { MOVE_ACTIONS } from "./preferences.js";
+
+// Stick travel (0..1) before it counts as a direction
+const STICK_DEADZONE = 0.35;
+
+// Stick push past the deadzone, rescaled to 0..1 and rounded to hundredths; null when centred
+function readStick(stick) {
+  const len = Math.sqrt(stick.x * stick.x + stick.y * stick.y);
+  if (len <= STICK_DEADZONE) return null;
+
+  const push = Math.min(1, (len - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+  const x = Math.round((stick.x / len) * push * 100) / 100;
+  const y = Math.round((stick.y / len) * push * 100) / 100;
+  return x === 0 && y === 0 ? null : { x, y };
+}
+
+export class InputController {
+  constructor(scene, prefs, onAction) {
+    this.scene = scene;
+    this.onAction = onAction;
+    this.cursors = scene.input.keyboard.createCursorKeys();
+    this.keys = null;
+    this.keyHandlers = [];
+    this.padBindings = {};
+    this.touch = null;
+
+    this.gamepad = scene.input.gamepad || null;
+    this.onPadDown = (pad, button) => {
+      for (const action in this.padBindings) {
+        if (this.padBindings[action] === button.index) this.onAction(action, "gamepad");
+      }
+    };
+    if (this.gamepad) this.gamepad.on("down", this.onPadDown);
+
+    this.setPreferences(prefs);
+  }
+
+  setPreferences(prefs) {
+    const keyboard = this.scene.input.keyboard;
+    this.removeKeyHandlers();
+
+    this.keys = {};
+    for (const [action, name] of Object.entries(prefs.bindings)) {
+      const key = keyboard.addKey(name);
+      if (!MOVE_ACTIONS.includes(action)) {
+        const handler = () => this.onAction(action, "keyboard");
+        key.on("down", handler);
+        this.keyHandlers.push([key, handler]);
+      }
+      this.keys[action] = key;
+    }
+
+    this.padBindings = { ...prefs.padBindings };
+  }
+
+  // First connected pad, if any
+  get pad() {
+    if (!this.gamepad || this.gamepad.total === 0) return null;
+    return this.gamepad.getAll()[0] || null;
+  }
+
+  readMove() {
+    const keys = this.keys;
+    const move = {
+      left: this.cursors.left.isDown || keys.left.isDown,
+      right: this.cursors.right.isDown || keys.right.isDown,
+      up: this.cursors.up.isDown || keys.up.isDown,
+      down: this.cursors.down.isDown || keys.down.isDown,
+      stick: null
+    };
+
+    const pad = this.pad;
+    if (pad) {
+      move.left = move.left || pad.left;
+      move.right = move.right || pad.right;
+      move.up = move.up || pad.up;
+      move.down = move.down || pad.down;
+      move.stick = readStick(pad.leftStick);
+    }
+
+    if (this.touch) {
+      const steer = this.touch.readMove();
+      for (const dir in steer) move[dir] = move[dir] || steer[dir];
+    }
+    return move;
+  }
+
+  destroy() {
+    if (this.gamepad) this.gamepad.off("down", this.onPadDown);
+    if (this.touch) this.touch.destroy();
+    this.removeKeyHandlers();
+    this.keys = {};
+  }
+
+  // Only our own listeners: the Key objects are shared with anything else in
+  // the scene that added the same key (the tutorial listens on Space)
+  removeKeyHandlers() {
+    for (const [key, handler] of this.keyHandlers) key.off("down", handler);
+    this.keyHandlers = [];
+  }
+}
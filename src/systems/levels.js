@@ -0,0 +1,213 @@
+/**
+ * @file src/systems/levels.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Data-driven levels. Each level is a JSON file in assets/levels/ and a
+ * campaign file lists them in play order. Levels only state what differs
+ * from GAME_SETTINGS; levelSettings() fills in the rest for the Simulation.
+ *
+ * Level file:
+ *   {
+ *     "id": "bloom",
+ *     "name": "Bloom",
+ *     "intro": "Text shown before the round starts.",
+ *     "tutorial": false,                          // show the full how-to-play steps
+ *     "start":   { "bacteria": 14 },
+ *     "species": { "rod": 0.6, "coccus": 0.4 },   // mix for fresh spawns (systems/species.js)
+ *     "growth":  { "timeScale": 30, "cap": 120 }, // any GAME_SETTINGS.growth keys
+ *     "win":     { "score": 40 } | { "surviveSeconds": 90 },
+ *     "lose":    { "bacteria": 60, "timeLimit": 120 },
+ *     "helpers": { "max": 6, "perLysis": 2, "killerChance": 0.9, "killerLysisChancePerSec": 0.35 },
+ *     "resistance": { "spacerChance": 0.3 }        // any RULE_DEFAULTS.resistance keys
+ *     "lysogeny":   { "induceCooldown": 15 }       // any RULE_DEFAULTS.lysogeny keys
+ *     "tailFibers": { "startFiber": "lamB" }       // any RULE_DEFAULTS.tailFibers keys
+ *     "burst":      { "baseSize": 8 }              // any RULE_DEFAULTS.burst keys
+ *   }
+ *   The four rule groups are off unless the level has them; {} switches one
+ *   on with its RULE_DEFAULTS (config.js)
+ *
+ * Campaign file (assets/levels/<campaign>.json):
+ *   { "id": "lytic-cycle", "name": "The Lytic Cycle", "levels": ["first-contact", ...] }
+ *
+ * Exports:
+ * - DEFAULT_CAMPAIGN: campaign loaded unless the URL has ?campaign=<file>
+ * - queueCampaign(loader): loads the campaign file, then every level it lists
+ * - getCampaign(scene): { id, name, levels: [level, ...], skipped: [{ id, reason }] }
+ *   from the JSON cache; levels that fail validateLevel are left out and
+ *   listed in skipped (LevelSelectScene shows them, tools/simulate.js
+ *   validate fails on them)
+ * - validateLevel(level): throws an Error describing the first problem found
+ * - levelSettings(level): flat settings object for new Simulation(...)
+ * - endlessSettings(): settings for endless mode: GAME_SETTINGS with burst,
+ *   ENDLESS_SETTINGS' waves and combos, and no win condition
+ * - withDifficulty(settings, key): copy of settings scaled by DIFFICULTY_PRESETS[key]
+ */
+
+
+import { GAME_SETTINGS, RULE_DEFAULTS, ENDLESS_SETTINGS, DIFFICULTY_PRESETS } from "../config.js";
+import { SPECIES } from "./species.js";
+import { RECEPTORS } from "./receptors.js";
+
+export const DEFAULT_CAMPAIGN = "campaign";
+
+const LEVEL_DIR = "assets/levels/";
+
+function campaignFile() {
+  if (typeof window === "undefined" || !window.location) return DEFAULT_CAMPAIGN;
+  const name = new URLSearchParams(window.location.search).get("campaign");
+  return name && /^[\w-]+$/.test(name) ? name : DEFAULT_CAMPAIGN;
+}
+
+export function queueCampaign(loader) {
+  loader.json("campaign", `${LEVEL_DIR}${campaignFile()}.json`);
+
+  loader.once("filecomplete-json-campaign", (key, type, data) => {
+    for (const id of data.levels || []) loader.json(`level:${id}`, `${LEVEL_DIR}${id}.json`);
+  });
+}
+
+export function getCampaign(scene) {
+  const data = scene.cache.json.get("campaign");
+  if (!data) return { id: DEFAULT_CAMPAIGN, name: "Free Play", levels: [], skipped: [] };
+
+  const levels = [];
+  const skipped = [];
+  for (const id of data.levels || []) {
+    const level = scene.cache.json.get(`level:${id}`);
+    try {
+      validateLevel(level);
+      levels.push(level);
+    } catch (err) {
+      skipped.push({ id, reason: err.message });
+    }
+  }
+
+  return { id: data.id || DEFAULT_CAMPAIGN, name: data.name || "Campaign", levels, skipped };
+}
+
+function isPositive(v) {
+  return typeof v === "number" && v > 0;
+}
+
+export function validateLevel(level) {
+  if (!level || typeof level !== "object") throw new Error("file missing or not an object");
+  if (typeof level.id !== "string" || !level.id) throw new Error("missing id");
+  if (typeof level.name !== "string") throw new Error("missing name");
+
+  const win = level.win || {};
+  if (!isPositive(win.score) && !isPositive(win.surviveSeconds)) {
+    throw new Error("win needs a positive score or surviveSeconds");
+  }
+
+  const lose = level.lose || {};
+  if (lose.bacteria !== undefined && !isPositive(lose.bacteria)) throw new Error("lose.bacteria must be positive");
+  if (lose.timeLimit !== undefined && !isPositive(lose.timeLimit)) throw new Error("lose.timeLimit must be positive");
+
+  const start = level.start || {};
+  if (start.bacteria !== undefined && !(Number.isInteger(start.bacteria) && start.bacteria >= 0)) {
+    throw new Error("start.bacteria must be a whole number");
+  }
+
+  if (level.species !== undefined) {
+    const entries = Object.entries(level.species);
+    if (entries.length === 0) throw new Error("species mix is empty");
+    for (const [key, weight] of entries) {
+      if (!(key in SPECIES)) throw new Error(`unknown species "${key}"`);
+      if (!isPositive(weight)) throw new Error(`species.${key} weight must be positive`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(level.growth || {})) {
+    if (!(key in GAME_SETTINGS.growth)) throw new Error(`unknown growth key "${key}"`);
+    if (typeof value !== "number") throw new Error(`growth.${key} must be a number`);
+  }
+
+  for (const group of Object.keys(RULE_DEFAULTS)) {
+    const rules = level[group];
+    if (rules !== undefined && rules !== null && (typeof rules !== "object" || Array.isArray(rules))) {
+      throw new Error(`${group} must be an object`);
+    }
+    for (const [key, value] of Object.entries(rules || {})) {
+      if (!(key in RULE_DEFAULTS[group])) throw new Error(`unknown ${group} key "${key}"`);
+      if (key === "startFiber") {
+        if (!(value in RECEPTORS)) throw new Error(`unknown fiber "${value}"`);
+      } else if (typeof value !== "number" || value < 0) {
+        throw new Error(`${group}.${key} must be a number >= 0`);
+      }
+    }
+  }
+}
+
+// Optional rule groups: on only when the level has them
+function optionalSettings(level, group) {
+  if (!level[group]) return null;
+  return { ...RULE_DEFAULTS[group], ...level[group] };
+}
+
+export function levelSettings(level) {
+  const start = level.start || {};
+  const win = level.win || {};
+  const lose = level.lose || {};
+  const helpers = level.helpers || {};
+
+  return {
+    ...GAME_SETTINGS,
+
+    neededToWin: win.score ?? null,
+    surviveSeconds: win.surviveSeconds ?? null,
+    loseThreshold: lose.bacteria ?? GAME_SETTINGS.loseThreshold,
+    timeLimit: lose.timeLimit ?? null,
+
+    startBacteria: start.bacteria ?? GAME_SETTINGS.startBacteria,
+    species: level.species ? { ...level.species } : { ...GAME_SETTINGS.species },
+    growth: { ...GAME_SETTINGS.growth, ...(level.growth || {}) },
+    resistance: optionalSettings(level, "resistance"),
+    lysogeny: optionalSettings(level, "lysogeny"),
+    tailFibers: optionalSettings(level, "tailFibers"),
+    burst: optionalSettings(level, "burst"),
+
+    maxHelpers: helpers.max ?? GAME_SETTINGS.maxHelpers,
+    helpersPerLysis: helpers.perLysis ?? GAME_SETTINGS.helpersPerLysis,
+    killerHelperChance: helpers.killerChance ?? GAME_SETTINGS.killerHelperChance,
+    killerLysisChancePerSec: helpers.killerLysisChancePerSec ?? GAME_SETTINGS.killerLysisChancePerSec
+  };
+}
+
+export function endlessSettings() {
+  return {
+    ...GAME_SETTINGS,
+
+    neededToWin: null,
+    surviveSeconds: null,
+    timeLimit: null,
+
+    growth: { ...GAME_SETTINGS.growth },
+    burst: { ...RULE_DEFAULTS.burst },
+
+    waves: { ...ENDLESS_SETTINGS.waves },
+    combo: { ...ENDLESS_SETTINGS.combo }
+  };
+}
+
+// Applied once when a run starts; the result is what replays and saves record
+export function withDifficulty(settings, key) {
+  const preset = DIFFICULTY_PRESETS[key];
+  if (!preset || key === "normal") return settings;
+
+  const growth = settings.growth;
+  return {
+    ...settings,
+    neededToWin: settings.neededToWin === null ? null : Math.max(1, Math.round(settings.neededToWin * preset.winScale)),
+    surviveSeconds: settings.surviveSeconds === null ? null : Math.round(settings.surviveSeconds * preset.winScale),
+    loseThreshold: Math.max(settings.startBacteria + 1, Math.round(settings.loseThreshold * preset.loseScale)),
+    growth: {
+      ...growth,
+      baseChance: growth.baseChance * preset.growthScale,
+      timeChance: growth.timeChance * preset.growthScale,
+      popChance: growth.popChance * preset.growthScale,
+      maxChance: Math.min(0.98, growth.maxChance * preset.growthScale)
+    },
+    baseInjectDuration: Math.round(settings.baseInjectDuration * preset.injectScale)
+  };
+}
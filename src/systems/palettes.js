@@ -0,0 +1,82 @@
+/**
+ * @file src/systems/palettes.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Registry of colour palettes. The player picks one in SettingsScene;
+ * systems/textures.js regenerates the sprites from it and GameScene tints
+ * helpers, receptor dots, pickups and flashes with it.
+ *
+ * Fields (the name shown in SettingsScene is the "palette.<key>" string):
+ * - species: body colour per species key (systems/species.js)
+ * - receptors: colour per receptor key, over RECEPTORS' own (systems/receptors.js)
+ * - killer: tint for killer helpers
+ * - resisted: tint for cells the player's strain can't infect
+ * - blocked / spacer / prophage: flashes for a blocked attach, a new CRISPR
+ *   spacer and an integration (prophage is also the lysogen marker)
+ * - hunt: ring around cells painted for a hunt order
+ * - chart: line colour per population series (systems/population.js); the
+ *   score line is also dashed
+ * - cues: draw the extra pattern cues (infected brackets, a cross on
+ *   resisted cells, receptor shapes on pickups) so nothing rests on hue alone
+ *
+ * Exports:
+ * - PALETTES, DEFAULT_PALETTE
+ * - getPalette(key): palette for key (falls back to the default palette)
+ *
+ * Notes:
+ * - The colourblind-safe sets are built from the Okabe–Ito colours, lightened
+ *   where they would sink into the dark dish
+ * - Killer helpers and receptor dots have their own shapes in every palette
+ *   (spiked capsid; circle / square / triangle)
+ */
+
+
+export const DEFAULT_PALETTE = "default";
+
+export const PALETTES = {
+  default: {
+    species: { rod: 0x62ff9e, coccus: 0xc58bff, spirillum: 0xffd36a },
+    receptors: {},
+    killer: 0xffc45a,
+    resisted: 0x8fa3c0,
+    blocked: 0xff5a5a,
+    spacer: 0x7fe0ff,
+    prophage: 0xff7ad9,
+    hunt: 0xffd36b,
+    chart: { bacteria: 0x62ff9e, helpers: 0x7bd2ff, score: 0xffd36b },
+    cues: false
+  },
+
+  // Red-green (green-weak): blue / yellow / reddish purple, no green against red
+  deuteranopia: {
+    species: { rod: 0x56b4e9, coccus: 0xe69f00, spirillum: 0xf0e442 },
+    receptors: { ompC: 0x56b4e9, lamB: 0xf0e442, fhuA: 0xcc79a7 },
+    killer: 0xe69f00,
+    resisted: 0x6b6b80,
+    blocked: 0xd55e00,
+    spacer: 0x56b4e9,
+    prophage: 0xcc79a7,
+    hunt: 0xf0e442,
+    chart: { bacteria: 0xe69f00, helpers: 0x56b4e9, score: 0xcc79a7 },
+    cues: true
+  },
+
+  // Red-green (red-weak): reds look dark, so flashes use orange and white instead
+  protanopia: {
+    species: { rod: 0x56b4e9, coccus: 0xf0e442, spirillum: 0xe6e6e6 },
+    receptors: { ompC: 0x56b4e9, lamB: 0xf0e442, fhuA: 0xffffff },
+    killer: 0xe69f00,
+    resisted: 0x6b6b80,
+    blocked: 0xe69f00,
+    spacer: 0x56b4e9,
+    prophage: 0xcc79a7,
+    hunt: 0xffffff,
+    chart: { bacteria: 0xe69f00, helpers: 0x56b4e9, score: 0xffffff },
+    cues: true
+  }
+};
+
+export function getPalette(key) {
+  return PALETTES[key] || PALETTES[DEFAULT_PALETTE];
+}
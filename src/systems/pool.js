@@ -0,0 +1,43 @@
+/**
+ * @file src/systems/pool.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Minimal object pool. Long sessions create and kill thousands of bacteria,
+ * virions and effect sprites; recycling them keeps memory flat and spares the
+ * garbage collector.
+ *
+ * Exports:
+ * - Pool(create, reset):
+ *   - acquire(...args): a recycled object (or create() when none are free),
+ *     passed through reset(obj, ...args) so no field survives from its last use
+ *   - release(obj): hands obj back for reuse; the caller must drop its references
+ *   - free: number of objects waiting to be reused
+ *
+ * Notes:
+ * - reset() must assign every field the object uses. Plain JS (no Phaser):
+ *   the simulation pools entity objects and GameScene pools sprites with it.
+ */
+
+
+export class Pool {
+  constructor(create, reset) {
+    this.create = create;
+    this.reset = reset;
+    this.items = [];
+  }
+
+  get free() {
+    return this.items.length;
+  }
+
+  acquire(...args) {
+    const obj = this.items.length > 0 ? this.items.pop() : this.create(...args);
+    this.reset(obj, ...args);
+    return obj;
+  }
+
+  release(obj) {
+    this.items.push(obj);
+  }
+}
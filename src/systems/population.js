@@ -0,0 +1,203 @@
+/**
+ * @file src/systems/population.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Population dynamics over a run: how many bacteria (prey) and helper phages
+ * (predators) were in the dish, and the score, once a second. GameScene shows
+ * the series as a mini-graph during play and a full chart on the results
+ * panel; players download it as CSV to compare with Lotka–Volterra curves.
+ *
+ * Exports:
+ * - SAMPLE_SECONDS: time between samples (simulation time)
+ * - POPULATION_SERIES: the counted series, in chart / CSV column order
+ * - PopulationSampler: collects samples as the simulation steps
+ * - parseSamples(data): validates stored samples, throws on bad input
+ * - chartScale(samples): { tMax, yMax } with round numbers for axis labels
+ * - drawPopulationChart(g, samples, box, colors, scale): plots the series
+ *   into a Phaser Graphics
+ * - drawSwatch(g, key, x, y, colors): a short legend line for one series,
+ *   starting at x, y
+ * - populationCSV(samples): the series as CSV text
+ * - downloadPopulationCSV(samples, seed): saves it as a .csv file
+ *
+ * Sample: { t, bacteria, helpers, score }
+ * - t: seconds of simulation time; whole seconds except the final sample,
+ *   taken when the run ends (one decimal)
+ *
+ * Notes:
+ * - Samples follow Simulation.elapsedSeconds, so paused time and tutorial
+ *   practice (the clock stands still) leave no gaps or flat runs
+ * - A replay samples the same series as the run it recorded
+ * - CSV headers stay in English so spreadsheets and scripts can rely on them
+ */
+
+
+export const SAMPLE_SECONDS = 1;
+
+export const POPULATION_SERIES = ["bacteria", "helpers", "score"];
+
+// Allowance for the float clock (60 steps of 1/60 add up to just under 1)
+const CLOCK_EPSILON = 1e-6;
+
+function sampleOf(sim, t) {
+  return { t, bacteria: sim.bacteria.length, helpers: sim.helpers.length, score: sim.score };
+}
+
+export class PopulationSampler {
+  // samples: carried over from a saved run, so a continued run keeps its history
+  constructor(samples = []) {
+    this.samples = samples.slice();
+    this.finished = false;
+  }
+
+  // Call after every simulation step (and once before the first); true when a sample was taken
+  observe(sim) {
+    if (this.finished) return false;
+
+    // A run continued from a save without samples starts its series where it picks up
+    const last = this.samples[this.samples.length - 1];
+    const next = last
+      ? last.t + SAMPLE_SECONDS
+      : Math.floor((sim.elapsedSeconds + CLOCK_EPSILON) / SAMPLE_SECONDS) * SAMPLE_SECONDS;
+    if (sim.elapsedSeconds + CLOCK_EPSILON < next) return false;
+    this.samples.push(sampleOf(sim, next));
+    return true;
+  }
+
+  // Final counts at the moment the run ended
+  finish(sim) {
+    if (this.finished) return;
+    this.finished = true;
+
+    const last = this.samples[this.samples.length - 1];
+    if (!last || sim.elapsedSeconds > last.t + CLOCK_EPSILON) {
+      this.samples.push(sampleOf(sim, Math.round(sim.elapsedSeconds * 10) / 10));
+    }
+  }
+}
+
+export function parseSamples(data) {
+  if (!Array.isArray(data)) throw new Error("population samples must be a list");
+  for (const s of data) {
+    const ok = s && typeof s === "object" &&
+      ["t", ...POPULATION_SERIES].every((key) => typeof s[key] === "number" && Number.isFinite(s[key]));
+    if (!ok) throw new Error("a population sample is malformed");
+  }
+  return data;
+}
+
+// Smallest of 1, 2, 5, 10, 20, 50, ... that is at least v
+function niceCeil(v) {
+  let step = 1;
+  for (;;) {
+    for (const m of [1, 2, 5]) {
+      if (step * m >= v) return step * m;
+    }
+    step *= 10;
+  }
+}
+
+export function chartScale(samples) {
+  let tMax = 0;
+  let yMax = 0;
+  for (const s of samples) {
+    tMax = Math.max(tMax, s.t);
+    for (const key of POPULATION_SERIES) yMax = Math.max(yMax, s[key]);
+  }
+  return { tMax: niceCeil(Math.max(tMax, 10)), yMax: niceCeil(Math.max(yMax, 10)) };
+}
+
+// Polyline through points, dashed when dash is set (so score reads apart from the counts without colour)
+function strokeSeries(g, points, dash) {
+  if (!dash) {
+    g.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? g.moveTo(x, y) : g.lineTo(x, y)));
+    g.strokePath();
+    return;
+  }
+
+  let on = true;
+  let left = dash;
+  g.beginPath();
+  for (let i = 1; i < points.length; i++) {
+    let [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    let len = Math.hypot(x1 - x0, y1 - y0);
+
+    while (len > 0) {
+      const run = Math.min(left, len);
+      const k = run / len;
+      const x = x0 + (x1 - x0) * k;
+      const y = y0 + (y1 - y0) * k;
+      if (on) {
+        g.moveTo(x0, y0);
+        g.lineTo(x, y);
+      }
+      x0 = x;
+      y0 = y;
+      len -= run;
+      left -= run;
+      if (left <= 0) {
+        on = !on;
+        left = dash;
+      }
+    }
+  }
+  g.strokePath();
+}
+
+// box: { x, y, w, h } (top-left); colors: { bacteria, helpers, score }
+export function drawPopulationChart(g, samples, box, colors, scale = chartScale(samples)) {
+  const { x, y, w, h } = box;
+
+  g.fillStyle(0x07101a, 0.75);
+  g.fillRect(x, y, w, h);
+
+  g.lineStyle(1, 0x9cc6ff, 0.15);
+  g.beginPath();
+  for (let i = 1; i < 4; i++) {
+    g.moveTo(x, y + (h * i) / 4);
+    g.lineTo(x + w, y + (h * i) / 4);
+  }
+  g.strokePath();
+
+  g.lineStyle(1.5, 0x9cc6ff, 0.5);
+  g.strokeRect(x, y, w, h);
+
+  if (samples.length < 2) return scale;
+
+  const px = (t) => x + (t / scale.tMax) * w;
+  const py = (v) => y + h - (v / scale.yMax) * h;
+
+  for (const key of POPULATION_SERIES) {
+    g.lineStyle(key === "bacteria" ? 2.5 : 2, colors[key], 0.95);
+    strokeSeries(g, samples.map((s) => [px(s.t), py(s[key])]), key === "score" ? 6 : 0);
+  }
+  return scale;
+}
+
+export function drawSwatch(g, key, x, y, colors) {
+  g.lineStyle(key === "bacteria" ? 2.5 : 2, colors[key], 0.95);
+  strokeSeries(g, [[x, y], [x + 18, y]], key === "score" ? 4 : 0);
+}
+
+export function populationCSV(samples) {
+  const rows = [["seconds", ...POPULATION_SERIES].join(",")];
+  for (const s of samples) rows.push([s.t, ...POPULATION_SERIES.map((key) => s[key])].join(","));
+  return rows.join("\n") + "\n";
+}
+
+export function downloadPopulationCSV(samples, seed) {
+  const blob = new Blob([populationCSV(samples)], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `phagefall-population-${seed}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
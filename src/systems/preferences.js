@@ -0,0 +1,169 @@
+/**
+ * @file src/systems/preferences.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Player preferences from SettingsScene, saved in the browser and read by
+ * GameScene on top of GAME_SETTINGS and the level rules.
+ *
+ * Exports:
+ * - DEFAULT_PREFERENCES: { musicVolume, sfxVolume, difficulty, showTutorial, touchControls,
+ *   palette, reducedMotion, language, bindings, padBindings }
+ * - TOUCH_MODES: values for touchControls, in the order SettingsScene cycles them
+ * - BINDING_ACTIONS: actions in the order SettingsScene lists them (labels are "action.<name>" strings)
+ * - MOVE_ACTIONS: actions the left stick and d-pad always cover (never bound to pad buttons)
+ * - PAD_DPAD: d-pad button indexes, kept for movement
+ * - loadPreferences(): saved preferences over the defaults (bad values fall back)
+ * - savePreferences(prefs)
+ * - keyLabel(name): how a bound key is written in menus, hints and the tutorial
+ * - padLabel(index): the same for a gamepad button (standard mapping, Xbox names)
+ *
+ * Notes:
+ * - Volumes are 0..1. sfxVolume scales sound effects, leaving the music alone
+ * - difficulty is a key of DIFFICULTY_PRESETS (config.js); it applies to new
+ *   runs only, never to replays or resumed runs (they keep their own rules)
+ * - showTutorial: false skips the how-to-play steps; every level still shows
+ *   its intro and win/lose card
+ * - showGraph: the population mini-graph is shown during play (GameScene
+ *   toggles it with the graph key or button)
+ * - touchControls: "auto" turns the joystick and touch buttons on when a
+ *   finger is the main pointer (systems/touch.js); "on" / "off" force it.
+ *   Read when a run starts
+ * - palette is a key of PALETTES (systems/palettes.js)
+ * - reducedMotion tones down tweens, particles, wobble and flashes; it starts
+ *   out following the system's "reduce motion" setting
+ * - language is a key of LANGUAGES (systems/i18n.js); it starts out as the
+ *   browser's language when there is a table for it
+ * - bindings map an action to a Phaser key name (Phaser.Input.Keyboard.KeyCodes);
+ *   the arrow keys always move as well
+ * - padBindings map an action to a gamepad button index (standard mapping);
+ *   the left stick and d-pad always move, so d-pad buttons can't be bound
+ */
+
+
+import { GAME_SETTINGS, DIFFICULTY_PRESETS } from "../config.js";
+import { loadJSON, saveJSON } from "./storage.js";
+import { PALETTES, DEFAULT_PALETTE } from "./palettes.js";
+import { LANGUAGES, systemLanguage } from "./i18n.js";
+
+const STORAGE_KEY = "preferences";
+
+function systemReducedMotion() {
+  return typeof window !== "undefined" && typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+export const DEFAULT_PREFERENCES = {
+  musicVolume: GAME_SETTINGS.musicTargetVolume,
+  sfxVolume: 0.8,
+  difficulty: "normal",
+  showTutorial: true,
+  showGraph: false,
+  touchControls: "auto",
+  palette: DEFAULT_PALETTE,
+  reducedMotion: systemReducedMotion(),
+  language: systemLanguage(),
+  bindings: {
+    up: "W",
+    left: "A",
+    down: "S",
+    right: "D",
+    deploy: "E",
+    mutate: "M",
+    induce: "I",
+    rally: "R",
+    guard: "G",
+    hunt: "H",
+    free: "F",
+    graph: "P",
+    attach: "SPACE",
+    integrate: "Q",
+    pause: "ESC"
+  },
+  padBindings: {
+    attach: 0,
+    integrate: 1,
+    deploy: 2,
+    mutate: 3,
+    rally: 4,
+    guard: 5,
+    free: 6,
+    hunt: 7,
+    induce: 8,
+    pause: 9,
+    graph: 11
+  }
+};
+
+export const BINDING_ACTIONS = [
+  "up", "left", "down", "right", "attach", "integrate", "deploy", "mutate", "induce",
+  "rally", "guard", "hunt", "free", "graph", "pause"
+];
+
+export const TOUCH_MODES = ["auto", "on", "off"];
+
+export const MOVE_ACTIONS = ["up", "left", "down", "right"];
+
+// Standard gamepad mapping; 12-15 are the d-pad
+const PAD_LABELS = [
+  "A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "L-stick", "R-stick",
+  "D-pad up", "D-pad down", "D-pad left", "D-pad right", "Home"
+];
+export const PAD_DPAD = [12, 13, 14, 15];
+
+const isVolume = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+export function loadPreferences() {
+  const saved = loadJSON(STORAGE_KEY, {}) || {};
+  const d = DEFAULT_PREFERENCES;
+
+  const bindings = { ...d.bindings };
+  if (saved.bindings && typeof saved.bindings === "object") {
+    for (const action in bindings) {
+      const key = saved.bindings[action];
+      if (typeof key === "string" && key in Phaser.Input.Keyboard.KeyCodes) bindings[action] = key;
+    }
+  }
+
+  const padBindings = { ...d.padBindings };
+  if (saved.padBindings && typeof saved.padBindings === "object") {
+    for (const action in padBindings) {
+      const button = saved.padBindings[action];
+      if (Number.isInteger(button) && button >= 0 && !PAD_DPAD.includes(button)) padBindings[action] = button;
+    }
+  }
+
+  return {
+    musicVolume: isVolume(saved.musicVolume) ? saved.musicVolume : d.musicVolume,
+    sfxVolume: isVolume(saved.sfxVolume) ? saved.sfxVolume : d.sfxVolume,
+    difficulty: saved.difficulty in DIFFICULTY_PRESETS ? saved.difficulty : d.difficulty,
+    showTutorial: typeof saved.showTutorial === "boolean" ? saved.showTutorial : d.showTutorial,
+    showGraph: typeof saved.showGraph === "boolean" ? saved.showGraph : d.showGraph,
+    touchControls: TOUCH_MODES.includes(saved.touchControls) ? saved.touchControls : d.touchControls,
+    palette: saved.palette in PALETTES ? saved.palette : d.palette,
+    reducedMotion: typeof saved.reducedMotion === "boolean" ? saved.reducedMotion : d.reducedMotion,
+    language: saved.language in LANGUAGES ? saved.language : d.language,
+    bindings,
+    padBindings
+  };
+}
+
+export function savePreferences(prefs) {
+  return saveJSON(STORAGE_KEY, prefs);
+}
+
+const KEY_LABELS = {
+  ESC: "Esc", SPACE: "Space", ENTER: "Enter", TAB: "Tab", SHIFT: "Shift", CTRL: "Ctrl", ALT: "Alt",
+  BACKSPACE: "Backspace", DELETE: "Delete", COMMA: ",", PERIOD: ".", SEMICOLON: ";", QUOTES: "'",
+  OPEN_BRACKET: "[", CLOSED_BRACKET: "]", FORWARD_SLASH: "/", BACK_SLASH: "\\", MINUS: "-", PLUS: "="
+};
+
+export function keyLabel(name) {
+  if (KEY_LABELS[name]) return KEY_LABELS[name];
+  const words = name.split("_").map((w) => w.charAt(0) + w.slice(1).toLowerCase());
+  return words.join(" ");
+}
+
+export function padLabel(index) {
+  return PAD_LABELS[index] || `Button ${index}`;
+}
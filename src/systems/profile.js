@@ -0,0 +1,72 @@
+/**
+ * @file src/systems/profile.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Local player profile: every finished live run and the personal bests per
+ * level, kept in the browser so a class can see its progress over a unit.
+ *
+ * Exports:
+ * - recordRun(run): appends a finished run and updates that level's bests.
+ *   Returns { bests, newBestScore, newFastestWin } for the results screen
+ * - loadProfile(): { runs, bests }, newest run last
+ * - bestsKey(run): which bests entry a run counts toward
+ * - clearProfile()
+ *
+ * Run record:
+ *   { at, level, levelName, seed, won, reason, score, seconds,
+ *     lyses: { player, helper, induction }, peakBacteria, settings, mode, waves }
+ * - level: level id, null for free play and endless mode
+ * - levelName: the level file's name, shown if the level leaves the campaign
+ * - mode: "endless" or "free" when level is null (older free play runs have
+ *   none); screens translate it with t(). Endless runs add waves survived
+ * - bests are keyed by bestsKey(run): the level id, "endless" or "free"
+ *
+ * Notes:
+ * - Only the newest MAX_RUNS runs are kept; bests survive older runs being dropped
+ */
+
+
+import { loadJSON, saveJSON, removeKey } from "./storage.js";
+
+const STORAGE_KEY = "profile";
+const MAX_RUNS = 100;
+
+export function loadProfile() {
+  const profile = loadJSON(STORAGE_KEY, null);
+  if (!profile || !Array.isArray(profile.runs) || typeof profile.bests !== "object" || profile.bests === null) {
+    return { runs: [], bests: {} };
+  }
+  return profile;
+}
+
+export function bestsKey(run) {
+  return run.level ?? run.mode ?? "free";
+}
+
+export function recordRun(run) {
+  const profile = loadProfile();
+  const key = bestsKey(run);
+  const prev = profile.bests[key] || { plays: 0, wins: 0, bestScore: null, fastestWin: null };
+
+  const newBestScore = prev.bestScore === null || run.score > prev.bestScore;
+  const newFastestWin = run.won && (prev.fastestWin === null || run.seconds < prev.fastestWin);
+
+  const bests = {
+    plays: prev.plays + 1,
+    wins: prev.wins + (run.won ? 1 : 0),
+    bestScore: newBestScore ? run.score : prev.bestScore,
+    fastestWin: newFastestWin ? run.seconds : prev.fastestWin
+  };
+
+  profile.bests[key] = bests;
+  profile.runs.push(run);
+  if (profile.runs.length > MAX_RUNS) profile.runs.splice(0, profile.runs.length - MAX_RUNS);
+
+  saveJSON(STORAGE_KEY, profile);
+  return { bests, newBestScore, newFastestWin };
+}
+
+export function clearProfile() {
+  removeKey(STORAGE_KEY);
+}
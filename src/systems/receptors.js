@@ -0,0 +1,32 @@
+/**
+ * @file src/systems/receptors.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Registry of surface receptor types. Every bacterium shows one receptor type
+ * (chosen from its species' receptor mix) and every phage carries one
+ * tail-fiber type; a phage can only adsorb to a host whose receptor matches
+ * its fiber.
+ *
+ * Fields:
+ * - name: shown to players
+ * - color: tint for receptor dots, fiber pickups and the player's phage
+ *   (colourblind palettes swap it, see systems/palettes.js)
+ * - shape: how its receptor dot is drawn ("circle", "square" or "triangle"),
+ *   so receptors can be told apart without their colour
+ *
+ * Exports:
+ * - RECEPTORS
+ * - getReceptor(key): entry for key, or null for unknown keys
+ */
+
+
+export const RECEPTORS = {
+  ompC: { name: "OmpC", color: 0x6fb6ff, shape: "circle" },
+  lamB: { name: "LamB", color: 0x8dff7a, shape: "square" },
+  fhuA: { name: "FhuA", color: 0xffa34d, shape: "triangle" }
+};
+
+export function getReceptor(key) {
+  return RECEPTORS[key] || null;
+}
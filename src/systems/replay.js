@@ -0,0 +1,182 @@
+/**
+ * @file src/systems/replay.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Input recording and deterministic playback of a full run.
+ *
+ * A replay is the run's seed, the balance settings it used, and the input
+ * GameScene fed into every fixed simulation step. Feeding the same steps back
+ * into a Simulation seeded the same way reproduces the same run and the same
+ * endGame result (in the browser or headless under Node).
+ *
+ * Exports:
+ * - REPLAY_VERSION: format version written into every file
+ * - ReplayRecorder: collects step inputs during a live run (a resumed run
+ *   passes in the frames it had recorded before it was saved)
+ * - ReplayPlayer: hands recorded step inputs back one at a time
+ * - parseReplay(text): validates a replay file, throws on bad input
+ * - downloadReplay(replay): saves a replay as a .json file
+ * - pickReplayFile(onLoad, onError): opens a file picker and parses the file
+ *
+ * File format (JSON):
+ *   { version, seed, level, settings, result: { won, score }, frames: [move | [move, (sx, sy,) x, y, ...], ...] }
+ * - level: id of the level played (null for free play); settings already hold its rules
+ * - one entry per simulation step (SIM_DT)
+ * - move: bit mask of held directions (1 left, 2 right, 4 up, 8 down) plus
+ *   one-step actions (16 mutate, 32 integrate: this step's clicks attach
+ *   lysogenically, 64 induce, 128 deploy: this step's clicks deploy helpers)
+ *   and helper orders (256 rally, 512 guard: this step's clicks mark the
+ *   guard area, 1024 hunt: this step's clicks paint the cluster, 2048 release)
+ *   and 4096 attach: attach to the cell nearest the player (no click)
+ *   and 8192 practice: a tutorial practice step (see Simulation.step)
+ *   and 16384 stick: the row's next two numbers are the analog stick's x, y
+ *   in hundredths (-100..100)
+ * - x, y pairs: pointer-down positions handled in that step (whole pixels);
+ *   steps without a stick or clicks are stored as the bare move number
+ */
+
+
+export const REPLAY_VERSION = 4;
+
+const MOVE_BITS = { left: 1, right: 2, up: 4, down: 8 };
+// Set when the row carries a stick position before its clicks
+const STICK_BIT = 16384;
+const ACTION_BITS = {
+  mutate: 16, integrate: 32, induce: 64, deploy: 128,
+  rally: 256, guard: 512, hunt: 1024, release: 2048, attach: 4096, practice: 8192
+};
+
+function encodeBits(flags, table) {
+  let bits = 0;
+  if (!flags) return bits;
+  for (const name in table) if (flags[name]) bits |= table[name];
+  return bits;
+}
+
+function decodeBits(bits, table) {
+  const flags = {};
+  for (const name in table) flags[name] = (bits & table[name]) !== 0;
+  return flags;
+}
+
+function decodeStep(bits, stick, clicks) {
+  const move = decodeBits(bits, MOVE_BITS);
+  move.stick = stick;
+  return { move, clicks, actions: decodeBits(bits, ACTION_BITS) };
+}
+
+export class ReplayRecorder {
+  constructor(seed, settings, level = null, frames = []) {
+    this.seed = seed;
+    this.level = level;
+    this.settings = { ...settings };
+    this.frames = frames;
+  }
+
+  record(input) {
+    const stick = input.move && input.move.stick;
+    let move = encodeBits(input.move, MOVE_BITS) | encodeBits(input.actions, ACTION_BITS);
+    if (stick) move |= STICK_BIT;
+    if (input.clicks.length === 0 && !stick) {
+      this.frames.push(move);
+      return;
+    }
+
+    const row = [move];
+    if (stick) row.push(Math.round(stick.x * 100), Math.round(stick.y * 100));
+    for (const c of input.clicks) row.push(c.x, c.y);
+    this.frames.push(row);
+  }
+
+  finish(result) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      level: this.level,
+      settings: this.settings,
+      result: { won: result.won, score: result.score },
+      frames: this.frames
+    };
+  }
+}
+
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.index = 0;
+  }
+
+  get done() {
+    return this.index >= this.replay.frames.length;
+  }
+
+  next() {
+    if (this.done) return null;
+
+    const row = this.replay.frames[this.index++];
+    if (typeof row === "number") return decodeStep(row, null, []);
+
+    let i = 1;
+    let stick = null;
+    if (row[0] & STICK_BIT) {
+      stick = { x: row[1] / 100, y: row[2] / 100 };
+      i = 3;
+    }
+
+    const clicks = [];
+    for (; i + 1 < row.length; i += 2) clicks.push({ x: row[i], y: row[i + 1] });
+
+    return decodeStep(row[0], stick, clicks);
+  }
+}
+
+export function parseReplay(text) {
+  const data = JSON.parse(text);
+
+  if (!data || data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data && data.version}`);
+  }
+  if (!Number.isInteger(data.seed) || !data.settings || !Array.isArray(data.frames)) {
+    throw new Error("Replay file is missing seed, settings or frames");
+  }
+  for (const row of data.frames) {
+    if (typeof row === "number") continue;
+    if (!Array.isArray(row) || row.length < 1 || row.some((v) => typeof v !== "number")) {
+      throw new Error("Replay file has a malformed frame");
+    }
+  }
+
+  return data;
+}
+
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `phagefall-replay-${replay.seed}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+export function pickReplayFile(onLoad, onError) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = "application/json,.json";
+
+  input.addEventListener("change", () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    file.text()
+      .then((text) => onLoad(parseReplay(text)))
+      .catch((err) => onError(err));
+  });
+
+  input.click();
+}
@@ -0,0 +1,103 @@
+/**
+ * @file src/systems/rng.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Seedable pseudo-random number source shared by every gameplay roll.
+ * Two runs started from the same seed see the same dish, the same spawns
+ * and the same helper decisions (given the same inputs).
+ *
+ * Exports:
+ * - rng:
+ *   Shared generator (mulberry32). Call rng.seed(n) at the start of a run,
+ *   then use rng.random() / float() / between() / pick() / weighted() instead of
+ *   Math.random() or Phaser.Math.*Between.
+ *
+ * - resolveSeed():
+ *   Picks the seed for a new run: ?seed= in the page URL, then
+ *   GAME_SETTINGS.seed, then a fresh random seed.
+ *
+ * Notes:
+ * - Seeds are unsigned 32-bit integers; non-numeric seeds are hashed.
+ * - Purely cosmetic randomness (texture speckles) may still use Phaser.Math.
+ */
+
+
+import { GAME_SETTINGS } from "../config.js";
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function normalizeSeed(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return Math.floor(Math.abs(n)) >>> 0;
+  return hashString(String(value));
+}
+
+export const rng = {
+  state: 0,
+  currentSeed: 0,
+
+  seed(value) {
+    this.currentSeed = normalizeSeed(value) ?? 0;
+    this.state = this.currentSeed;
+    return this.currentSeed;
+  },
+
+  // Float in [0, 1)
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  },
+
+  // Float in [min, max)
+  float(min, max) {
+    return min + this.random() * (max - min);
+  },
+
+  // Integer in [min, max], inclusive (same contract as Phaser.Math.Between)
+  between(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  },
+
+  pick(list) {
+    if (!list || list.length === 0) return undefined;
+    return list[Math.floor(this.random() * list.length)];
+  },
+
+  // Key of { key: weight, ... } chosen in proportion to its weight
+  weighted(weights) {
+    const keys = Object.keys(weights);
+    let total = 0;
+    for (const k of keys) total += weights[k];
+
+    let roll = this.random() * total;
+    for (const k of keys) {
+      roll -= weights[k];
+      if (roll < 0) return k;
+    }
+    return keys[keys.length - 1];
+  }
+};
+
+export function resolveSeed() {
+  let fromUrl = null;
+  if (typeof window !== "undefined" && window.location) {
+    fromUrl = new URLSearchParams(window.location.search).get("seed");
+  }
+
+  const seed = normalizeSeed(fromUrl) ?? normalizeSeed(GAME_SETTINGS.seed);
+  if (seed !== null) return seed;
+
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,128 @@
+/**
+ * @file src/systems/savegame.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * The saved run behind "Continue": one unfinished live run, kept in
+ * localStorage so a class can stop mid-lesson and carry on next time.
+ *
+ * Exports:
+ * - SAVE_VERSION: format version written into every save
+ * - saveRun({ level, settings, frames, sim, population }): stores the run, false if storage is blocked or full
+ * - loadSavedRun(): { run, error }. run is null when nothing usable is saved;
+ *   a save that fails parseSave() is deleted and error says why
+ * - clearSavedRun()
+ * - parseSave(data): validates a stored save, throws on bad input
+ *
+ * Save format (JSON):
+ *   { version, savedAt, level, settings, frames, sim, population }
+ * - level: id of the level being played (null for free play)
+ * - settings: the run's rules, as in a replay file
+ * - frames: replay frames recorded so far (systems/replay.js), so the
+ *   finished run still has a complete replay
+ * - sim: Simulation.snapshot() (entities, score, run stats, clocks, waves,
+ *   combo, injection and rng state)
+ * - population: samples taken so far (systems/population.js); saves from
+ *   before it existed load with an empty list
+ *
+ * Notes:
+ * - Saves from any other SAVE_VERSION are rejected, not migrated
+ * - Version 2 saves made before waves and combos lack their fields and
+ *   restore with the defaults; `node tools/simulate.js --check` tests both
+ */
+
+
+import { loadJSON, saveJSON, removeKey } from "./storage.js";
+import { SPECIES } from "./species.js";
+import { parseSamples } from "./population.js";
+
+export const SAVE_VERSION = 2;
+
+const STORAGE_KEY = "run";
+
+export function saveRun(run) {
+  return saveJSON(STORAGE_KEY, {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    level: run.level,
+    settings: run.settings,
+    frames: run.frames,
+    sim: run.sim,
+    population: run.population
+  });
+}
+
+export function loadSavedRun() {
+  const data = loadJSON(STORAGE_KEY, null);
+  if (data === null) return { run: null, error: null };
+
+  try {
+    return { run: parseSave(data), error: null };
+  } catch (err) {
+    clearSavedRun();
+    return { run: null, error: err.message };
+  }
+}
+
+export function clearSavedRun() {
+  removeKey(STORAGE_KEY);
+}
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+
+function requireNumbers(obj, keys, what) {
+  for (const key of keys) {
+    if (!isNumber(obj[key])) throw new Error(`Saved run has a bad ${what} (${key})`);
+  }
+}
+
+export function parseSave(data) {
+  if (!isObject(data) || data.version !== SAVE_VERSION) {
+    throw new Error(`Saved run is from another version of the game (${isObject(data) ? data.version : "unknown"})`);
+  }
+  if (!isObject(data.settings) || !isObject(data.sim) || !Array.isArray(data.frames)) {
+    throw new Error("Saved run is missing settings, frames or state");
+  }
+  if (!data.frames.every((f) => isNumber(f) || (Array.isArray(f) && f.length > 0 && f.every(isNumber)))) {
+    throw new Error("Saved run has a malformed replay frame");
+  }
+
+  const sim = data.sim;
+  requireNumbers(sim, [
+    "seed", "rng", "score", "nextId", "elapsedSeconds", "reproTimer",
+    "mutateCooldownLeft", "induceCooldownLeft", "pickupTimer", "huntedLeft"
+  ], "state");
+
+  // Wave and combo clocks came later; saves without them start from the defaults
+  for (const key of ["wave", "wavePhaseLeft", "comboCount", "comboTimeLeft"]) {
+    if (sim[key] !== undefined && !isNumber(sim[key])) throw new Error(`Saved run has a bad state (${key})`);
+  }
+
+  for (const key of ["bacteria", "helpers", "pickups", "virions"]) {
+    if (!Array.isArray(sim[key]) || !sim[key].every(isObject)) throw new Error(`Saved run has corrupt ${key}`);
+  }
+  if (!isObject(sim.player) || !isObject(sim.helperOrder) || !isObject(sim.injection)) {
+    throw new Error("Saved run is missing the player, helper order or injection state");
+  }
+  if (!isObject(sim.stats) || !isObject(sim.stats.lyses)) throw new Error("Saved run is missing its stats");
+  requireNumbers(sim.stats.lyses, ["player", "helper", "induction"], "stat");
+  requireNumbers(sim.stats, ["peakBacteria"], "stat");
+
+  requireNumbers(sim.player, ["x", "y", "vx", "vy", "rotation", "strain"], "player");
+  for (const b of sim.bacteria) {
+    requireNumbers(b, ["id", "x", "y", "vx", "vy", "heading"], "bacterium");
+    if (!SPECIES[b.species] || !Array.isArray(b.spacers)) throw new Error("Saved run has a corrupt bacterium");
+  }
+  for (const h of sim.helpers) requireNumbers(h, ["id", "x", "y", "vx", "vy", "cooldown", "strain"], "helper");
+  for (const v of sim.virions) requireNumbers(v, ["x", "y", "vx", "vy", "ttl"], "virion");
+
+  if (data.population === undefined) data.population = [];
+  try {
+    parseSamples(data.population);
+  } catch (err) {
+    throw new Error(`Saved run has bad population data (${err.message})`);
+  }
+
+  return data;
+}
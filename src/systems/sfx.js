@@ -0,0 +1,92 @@
+/**
+ * @file src/systems/sfx.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Procedural sound effects: short cues synthesised at boot with Web Audio,
+ * the way systems/textures.js draws the sprites, so no sound files are needed.
+ *
+ * Exports:
+ * - makeSounds(scene): renders every cue into the audio cache as "sfx:<name>"
+ * - playSfx(scene, name, volume): plays a cue at volume (0..1, the player's
+ *   sfxVolume); silent at 0 or when the cue couldn't be made
+ * - SFX_FOR_EVENT: simulation event type -> cue name, for GameScene
+ *
+ * Notes:
+ * - Needs Phaser's Web Audio sound manager; with HTML5 audio or no audio at
+ *   all makeSounds does nothing and every cue stays silent
+ * - Cues are only ever the player's feedback: their noise uses Math.random,
+ *   never the seeded gameplay rng
+ */
+
+
+// name: [start Hz, end Hz, seconds, wave, noise share]
+const CUES = {
+  attach: [520, 880, 0.09, "sine", 0],
+  lysis: [220, 70, 0.22, "triangle", 0.45],
+  deploy: [330, 660, 0.14, "square", 0],
+  mutate: [440, 1320, 0.2, "sine", 0.1],
+  induce: [180, 540, 0.35, "triangle", 0.25],
+  blocked: [160, 120, 0.16, "square", 0]
+};
+
+export const SFX_FOR_EVENT = {
+  injectStarted: "attach",
+  lysis: "lysis",
+  deployed: "deploy",
+  phageMutated: "mutate",
+  induced: "induce",
+  attachBlocked: "blocked"
+};
+
+// Below this many ms apart the same cue isn't restarted (a wave of helper lyses)
+const MIN_GAP_MS = 60;
+
+const lastPlayed = {};
+
+function wave(shape, phase) {
+  const p = phase - Math.floor(phase);
+  if (shape === "square") return p < 0.5 ? 1 : -1;
+  if (shape === "triangle") return 1 - 4 * Math.abs(p - 0.5);
+  return Math.sin(p * Math.PI * 2);
+}
+
+function renderCue(context, [from, to, seconds, shape, noise]) {
+  const rate = context.sampleRate;
+  const length = Math.max(1, Math.floor(seconds * rate));
+  const buffer = context.createBuffer(1, length, rate);
+  const data = buffer.getChannelData(0);
+
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const k = i / length;
+    phase += (from + (to - from) * k) / rate;
+
+    // Quick attack, then an exponential fade to silence
+    const envelope = Math.min(1, i / (rate * 0.005)) * Math.pow(1 - k, 2);
+    const tone = wave(shape, phase) * (1 - noise) + (Math.random() * 2 - 1) * noise;
+    data[i] = tone * envelope * 0.5;
+  }
+  return buffer;
+}
+
+export function makeSounds(scene) {
+  const context = scene.sound.context;
+  if (!context || typeof context.createBuffer !== "function") return;
+
+  for (const [name, cue] of Object.entries(CUES)) {
+    const key = `sfx:${name}`;
+    if (!scene.cache.audio.exists(key)) scene.cache.audio.add(key, renderCue(context, cue));
+  }
+}
+
+export function playSfx(scene, name, volume) {
+  const key = `sfx:${name}`;
+  if (volume <= 0 || !scene.cache.audio.exists(key)) return;
+
+  const now = scene.game.loop.time;
+  if (now - (lastPlayed[name] ?? -Infinity) < MIN_GAP_MS) return;
+  lastPlayed[name] = now;
+
+  scene.sound.play(key, { volume });
+}
@@ -0,0 +1,1058 @@
+/**
+ * @file src/systems/simulation.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Headless simulation core for Phagefall. Owns the player, bacteria, helpers,
+ * virions and pickups, and advances the game rules in fixed steps of SIM_DT:
+ * movement, division, attaching and injection, lysis and scoring, the
+ * optional rule groups (burst, resistance, lysogeny, tail fibers, waves,
+ * combos), helper orders and win/lose. Each rule is described where it is coded.
+ *
+ * Exports:
+ * - SIM_DT: fixed step length in seconds
+ * - Simulation: the game rules (see step())
+ *   - snapshot(): the run's full state as plain JSON (entity links become ids)
+ *   - Simulation.restore(settings, snapshot): carries on a snapshotted run
+ *   - addBacteriumAt / addHelperAt / retune: hand edits for SandboxScene
+ *
+ * Usage:
+ *   const sim = new Simulation(GAME_SETTINGS, seed);   // or levelSettings(level)
+ *   sim.step({ move: { left, right, up, down, stick }, clicks: [{ x, y }],
+ *              actions: { attach, mutate, integrate, induce, deploy, rally, guard, hunt, release, practice } });
+ *   sim.events   // what happened this step (for rendering), cleared by the caller
+ *   sim.result   // null while running, then { won, reason }
+ *   sim.stats    // { lyses: { player, helper, induction }, peakBacteria } for the results screen
+ *
+ * Notes:
+ * - No Phaser and no canvas: it runs the same in the browser and under Node.
+ * - All rolls go through the shared seeded rng (systems/rng.js); the
+ *   constructor seeds it, so only one Simulation should run at a time.
+ */
+
+
+import { W, H } from "../config.js";
+import { bacteriaDrift, helperBrain, ORDER_RADIUS } from "./behaviors.js";
+import {
+  randomPointInDish, clampToDishPoint, clamp, dist2, angleBetween, rotateTo, wrapAngle
+} from "./geometry.js";
+import { rng } from "./rng.js";
+import { SPECIES, getSpecies } from "./species.js";
+import { RECEPTORS } from "./receptors.js";
+import { SpatialGrid } from "./spatialGrid.js";
+import { Pool } from "./pool.js";
+
+export const SIM_DT = 1 / 60;
+
+// Spatial index cell size (px): about the helper's orbit distance
+const GRID_CELL = 64;
+
+// Arcade-style body settings per entity kind: movement mirrors the Arcade
+// Physics settings the sprites used (acceleration, damping/linear drag,
+// per-axis max velocity)
+const PLAYER_BODY = { damping: true, drag: 0.92, maxVelocity: 320 };
+const BACTERIUM_BODIES = Object.fromEntries(
+  Object.entries(SPECIES).map(([key, sp]) => [key, { damping: false, drag: 0.2, maxVelocity: sp.speed }])
+);
+const HELPER_BODY = { damping: true, drag: 0.90, maxVelocity: 190 };
+
+function integrateAxis(v, a, body, dt) {
+  if (a) {
+    v += a * dt;
+  } else if (body.damping) {
+    v *= Math.pow(body.drag, dt);
+    if (Math.abs(v) < 0.001) v = 0;
+  } else {
+    const d = body.drag * dt;
+    if (v - d > 0.01) v -= d;
+    else if (v + d < -0.01) v += d;
+    else v = 0;
+  }
+  return clamp(v, -body.maxVelocity, body.maxVelocity);
+}
+
+/*
+ * Entities are plain objects:
+ * - player:   { x, y, vx, vy, ax, ay, rotation, strain, fiber }
+ * - bacteria: { id, species, x, y, vx, vy, ax, ay, rotation, infected, heading, runTimer,
+ *               receptorType, receptorVersion, spacers, prophage, hunted, claimedBy }
+ * - helpers:  { id, x, y, vx, vy, ax, ay, rotation, wanderAngle, killer, cooldown, strain, fiber,
+ *               state, claim }   claim / claimedBy: target claims (see behaviors.js)
+ * - pickups:  { id, x, y, fiber, ttl }
+ * - virions:  { x, y, vx, vy, ttl }   free progeny (drawn as one layer, so no id)
+ * The reset functions below assign every field, since the objects are pooled.
+ */
+function resetBacterium(b, id, species, x, y, vx, vy, heading) {
+  b.id = id;
+  b.species = species;
+  b.x = x;
+  b.y = y;
+  b.vx = vx;
+  b.vy = vy;
+  b.ax = 0;
+  b.ay = 0;
+  b.rotation = 0;
+  b.infected = false;
+  b.heading = heading;
+  b.runTimer = 0;
+  b.receptorType = null;
+  b.receptorVersion = 0;
+  b.spacers.length = 0;
+  b.prophage = null;
+  b.hunted = false;
+  b.claimedBy = null;
+}
+
+// Owned by a helper's claim (sharers don't own the cell; see behaviors.js)
+function isClaimed(b) {
+  return b.claimedBy !== null;
+}
+
+function resetHelper(h, id, x, y, wanderAngle, killer, strain, fiber) {
+  h.id = id;
+  h.x = x;
+  h.y = y;
+  h.vx = 0;
+  h.vy = 0;
+  h.ax = 0;
+  h.ay = 0;
+  h.rotation = 0;
+  h.wanderAngle = wanderAngle;
+  h.killer = killer;
+  h.cooldown = 0;
+  h.strain = strain;
+  h.fiber = fiber;
+  h.state = "wander";
+  h.claim = null;
+}
+
+function resetVirion(v, x, y, vx, vy, ttl) {
+  v.x = x;
+  v.y = y;
+  v.vx = vx;
+  v.vy = vy;
+  v.ttl = ttl;
+}
+
+function integrate(e, body, dt) {
+  e.vx = integrateAxis(e.vx, e.ax, body, dt);
+  e.vy = integrateAxis(e.vy, e.ay, body, dt);
+  e.x += e.vx * dt;
+  e.y += e.vy * dt;
+}
+
+/*
+ * Events pushed to sim.events:
+ * - { type: "bacteriumSpawned", entity, parent }   parent is null for fresh spawns
+ * - { type: "helperSpawned", entity }
+ * - { type: "attachMissed", entity }               target was out of attachRange
+ * - { type: "attachBlocked", entity, by, reason }  reason: see infectionBlock()
+ * - { type: "spacerAcquired", entity, strain }
+ * - { type: "phageMutated", strain }
+ * - { type: "injectStarted", entity, mode }         mode: "lytic" | "lysogenic"
+ * - { type: "integrated", entity }                 entity is now a lysogen
+ * - { type: "induced", count, points }             an induction lysed count lysogens
+ * - { type: "lysis", entity, by, points }          by: "player" | "helper" | "induction"
+ * - { type: "pickupSpawned", entity }
+ * - { type: "fiberChanged", fiber }                the player collected a fiber pickup
+ * - { type: "burst", entity, size }                a lysis released size virions
+ * - { type: "deployed", entity, x, y }             virions assembled into a helper (entity)
+ * - { type: "deployFailed", x, y, reason }         reason: "virions" | "helpers"
+ * - { type: "helperOrder", order, x, y, count }    count: cells painted by a hunt order
+ * - { type: "helperOrderFailed", order, x, y }     a hunt order found no cell a helper can infect
+ * - { type: "huntCleared" }                        every painted cell is gone; helpers roam free
+ * - { type: "combo", count, multiplier }          a lysis chain raised the score multiplier
+ * - { type: "breather", wave }                     wave survived; a calm spell follows
+ * - { type: "waveStarted", wave, count }           count fresh cells arrived with it
+ * - { type: "ended", won, reason }
+ */
+export class Simulation {
+  constructor(settings, seed) {
+    this.settings = { ...settings };
+    this.seed = rng.seed(seed);
+
+    this.center = { x: W / 2, y: H / 2 };
+    this.dishRadius = Math.min(W, H) * 0.44;
+
+    // State
+    this.score = 0;
+    this.neededToWin = settings.neededToWin;
+    this.loseThreshold = settings.loseThreshold;
+    this.surviveSeconds = settings.surviveSeconds ?? null;
+    this.timeLimit = settings.timeLimit ?? null;
+    this.result = null;
+    this.events = [];
+    this.nextId = 1;
+    this.stats = { lyses: { player: 0, helper: 0, induction: 0 }, peakBacteria: 0 };
+
+    // Helpers / difficulty
+    this.maxHelpers = settings.maxHelpers;
+    this.helpersPerLysis = settings.helpersPerLysis;
+    this.killerHelperChance = settings.killerHelperChance;
+    this.killerLysisChancePerSec = settings.killerLysisChancePerSec;
+
+    // Entities
+    this.player = { x: this.center.x, y: this.center.y, vx: 0, vy: 0, ax: 0, ay: 0, rotation: 0, strain: 0, fiber: null };
+    this.bacteria = [];
+    this.helpers = [];
+    this.pickups = [];
+    this.virions = [];
+
+    // bacteriaGrid buckets bacteria by position, rebuilt once per step after
+    // movement and divisions; lysed cells leave it as they die. Anything that
+    // asks "which cell is near here?" (clicks, helper AI, CRISPR exposure)
+    // queries it instead of scanning this.bacteria. claimGrid holds just the
+    // claimed cells, kept current as helpers claim, release and lyse
+    this.bacteriaGrid = new SpatialGrid(W, H, GRID_CELL);
+    this.claimGrid = new SpatialGrid(W, H, GRID_CELL);
+
+    // Recycled entity objects (systems/pool.js). A lysed bacterium waits in
+    // deadBacteria until the first step after the caller has emptied
+    // sim.events, so an event never points at a cell that has been reused
+    this.bacteriumPool = new Pool(() => ({ spacers: [] }), resetBacterium);
+    this.helperPool = new Pool(() => ({}), resetHelper);
+    this.virionPool = new Pool(() => ({}), resetVirion);
+    this.deadBacteria = [];
+
+    // Player orders for the helpers (see behaviors.js)
+    this.helperOrder = { type: "free", x: 0, y: 0 };
+    this.huntedLeft = 0;
+
+    // Bacteria reproduction (ramps with time + population), once per second of play
+    this.growth = settings.growth;
+    this.speciesMix = settings.species;
+    this.elapsedSeconds = 0;
+    this.reproTimer = 0;
+
+    // Resistance (older replays predate it, so it may be missing)
+    this.resistance = settings.resistance ?? null;
+    this.mutateCooldownLeft = 0;
+
+    // Lysogeny (also missing from older replays)
+    this.lysogeny = settings.lysogeny ?? null;
+    this.induceCooldownLeft = 0;
+
+    // Burst size / free virions (older replays spawn helpers directly instead)
+    this.burst = settings.burst ?? null;
+
+    // Waves and combos (endless mode; missing from older replays)
+    this.waves = settings.waves ?? null;
+    this.wave = 1;
+    this.onBreather = false;
+    this.wavePhaseLeft = this.waves ? this.waves.length : 0;
+    this.combo = settings.combo ?? null;
+    this.comboCount = 0;
+    this.comboTimeLeft = 0;
+
+    // Tail fibers (also missing from older replays)
+    this.tailFibers = settings.tailFibers ?? null;
+    this.pickupTimer = 0;
+    if (this.tailFibers) this.player.fiber = this.tailFibers.startFiber;
+
+    // Injection state
+    this.attachedTarget = null;
+    this.injecting = false;
+    this.injectElapsed = 0;
+    this.injectMode = "lytic";
+    this.baseInjectDuration = settings.baseInjectDuration;
+    this.injectDuration = this.baseInjectDuration;
+    this.attachRange = settings.attachRange;
+
+    // Initial bacteria
+    for (let i = 0; i < settings.startBacteria; i++) this.spawnBacterium();
+    this.bacteriaGrid.rebuild(this.bacteria);
+    this.stats.peakBacteria = this.bacteria.length;
+  }
+
+  // Every entity, the score, clocks, cooldowns, helper order, injection state
+  // and the rng state: restoring it and stepping on with the same inputs
+  // gives the same run as never having stopped
+  snapshot() {
+    return {
+      seed: this.seed,
+      rng: rng.state,
+      score: this.score,
+      nextId: this.nextId,
+      stats: { lyses: { ...this.stats.lyses }, peakBacteria: this.stats.peakBacteria },
+      elapsedSeconds: this.elapsedSeconds,
+      reproTimer: this.reproTimer,
+      mutateCooldownLeft: this.mutateCooldownLeft,
+      induceCooldownLeft: this.induceCooldownLeft,
+      pickupTimer: this.pickupTimer,
+      wave: this.wave,
+      onBreather: this.onBreather,
+      wavePhaseLeft: this.wavePhaseLeft,
+      comboCount: this.comboCount,
+      comboTimeLeft: this.comboTimeLeft,
+      helperOrder: { ...this.helperOrder },
+      huntedLeft: this.huntedLeft,
+      player: { ...this.player },
+      bacteria: this.bacteria.map((b) => ({
+        ...b,
+        spacers: [...b.spacers],
+        prophage: b.prophage && { ...b.prophage },
+        claimedBy: b.claimedBy && b.claimedBy.id
+      })),
+      helpers: this.helpers.map((h) => ({ ...h, claim: h.claim && h.claim.id })),
+      pickups: this.pickups.map((k) => ({ ...k })),
+      virions: this.virions.map((v) => ({ ...v })),
+      injection: {
+        injecting: this.injecting,
+        targetId: this.attachedTarget && this.attachedTarget.id,
+        elapsed: this.injectElapsed,
+        duration: this.injectDuration,
+        mode: this.injectMode
+      }
+    };
+  }
+
+  // snap must come from snapshot() (systems/savegame.js validates stored ones).
+  // Announces the restored entities with their usual spawn events so a
+  // renderer can build sprites for them
+  static restore(settings, snap) {
+    const sim = new Simulation({ ...settings, startBacteria: 0 }, snap.seed);
+    sim.settings = { ...settings };
+    rng.state = snap.rng;
+
+    sim.score = snap.score;
+    sim.nextId = snap.nextId;
+    sim.stats = { lyses: { ...snap.stats.lyses }, peakBacteria: snap.stats.peakBacteria };
+    sim.elapsedSeconds = snap.elapsedSeconds;
+    sim.reproTimer = snap.reproTimer;
+    sim.mutateCooldownLeft = snap.mutateCooldownLeft;
+    sim.induceCooldownLeft = snap.induceCooldownLeft;
+    sim.pickupTimer = snap.pickupTimer;
+    sim.wave = snap.wave ?? sim.wave;
+    sim.onBreather = Boolean(snap.onBreather);
+    sim.wavePhaseLeft = snap.wavePhaseLeft ?? sim.wavePhaseLeft;
+    sim.comboCount = snap.comboCount ?? 0;
+    sim.comboTimeLeft = snap.comboTimeLeft ?? 0;
+    sim.helperOrder = { ...snap.helperOrder };
+    sim.huntedLeft = snap.huntedLeft;
+    sim.player = { ...snap.player };
+
+    const bacteria = new Map();
+    for (const s of snap.bacteria) {
+      const b = sim.bacteriumPool.acquire(s.id, s.species, s.x, s.y, s.vx, s.vy, s.heading);
+      const spacers = b.spacers;
+      Object.assign(b, s, { spacers, prophage: s.prophage && { ...s.prophage }, claimedBy: null });
+      for (const strain of s.spacers) spacers.push(strain);
+      sim.bacteria.push(b);
+      bacteria.set(b.id, b);
+    }
+
+    const helpers = new Map();
+    for (const s of snap.helpers) {
+      const h = sim.helperPool.acquire(s.id, s.x, s.y, s.wanderAngle, s.killer, s.strain, s.fiber);
+      Object.assign(h, s, { claim: bacteria.get(s.claim) || null });
+      sim.helpers.push(h);
+      helpers.set(h.id, h);
+    }
+    for (const s of snap.bacteria) {
+      if (s.claimedBy !== null) bacteria.get(s.id).claimedBy = helpers.get(s.claimedBy) || null;
+    }
+
+    for (const k of snap.pickups) sim.pickups.push({ ...k });
+    for (const v of snap.virions) sim.virions.push(sim.virionPool.acquire(v.x, v.y, v.vx, v.vy, v.ttl));
+
+    const inj = snap.injection;
+    sim.injecting = inj.injecting;
+    sim.attachedTarget = bacteria.get(inj.targetId) || null;
+    sim.injectElapsed = inj.elapsed;
+    sim.injectDuration = inj.duration;
+    sim.injectMode = inj.mode;
+
+    sim.bacteriaGrid.rebuild(sim.bacteria);
+    sim.claimGrid.rebuild(sim.bacteria, isClaimed);
+    for (const b of sim.bacteria) sim.events.push({ type: "bacteriumSpawned", entity: b, parent: null });
+    for (const h of sim.helpers) sim.events.push({ type: "helperSpawned", entity: h });
+    for (const k of sim.pickups) sim.events.push({ type: "pickupSpawned", entity: k });
+    return sim;
+  }
+
+  get gameOver() {
+    return this.result !== null;
+  }
+
+  // Seconds left on whichever clock (survive or time limit) is running, else null
+  get secondsLeft() {
+    const limit = this.surviveSeconds ?? this.timeLimit;
+    return limit === null ? null : Math.max(0, limit - this.elapsedSeconds);
+  }
+
+  get injectProgress() {
+    return clamp(this.injectElapsed / this.injectDuration, 0, 1);
+  }
+
+  // Score multiplier of the current lysis chain (1 without combos or a chain)
+  get comboMultiplier() {
+    if (!this.combo || this.comboCount === 0) return 1;
+    return Math.min(this.combo.maxMultiplier, 1 + Math.floor((this.comboCount - 1) / this.combo.lysesPerStep));
+  }
+
+  // Waves seen through to their breather (endless mode)
+  get wavesSurvived() {
+    return this.onBreather ? this.wave : this.wave - 1;
+  }
+
+  get canMutate() {
+    return this.resistance !== null && this.mutateCooldownLeft <= 0;
+  }
+
+  get lysogenCount() {
+    let n = 0;
+    for (const b of this.bacteria) if (b.prophage !== null) n++;
+    return n;
+  }
+
+  get canInduce() {
+    return this.lysogeny !== null && this.induceCooldownLeft <= 0;
+  }
+
+  /**
+   * Advance one fixed step.
+   * @param {{ move: { left, right, up, down, stick? }, clicks: Array<{ x, y }>,
+   *           actions?: { mutate, integrate, induce, deploy, practice } }} input
+   */
+  step(input) {
+    if (this.gameOver) return;
+
+    const dt = SIM_DT;
+    const actions = input.actions || {};
+    // Tutorial practice: the clock stands still, nothing divides and nothing
+    // is won or lost, but injections, lyses, helpers and scoring still count
+    const practice = Boolean(actions.practice);
+    if (!practice) this.elapsedSeconds += dt;
+
+    // Everything that reported these deaths has been consumed: safe to reuse
+    if (this.events.length === 0 && this.deadBacteria.length > 0) {
+      for (const b of this.deadBacteria) this.bacteriumPool.release(b);
+      this.deadBacteria.length = 0;
+    }
+
+    integrate(this.player, PLAYER_BODY, dt);
+    for (const h of this.helpers) integrate(h, HELPER_BODY, dt);
+    for (const b of this.bacteria) integrate(b, BACTERIUM_BODIES[b.species], dt);
+
+    if (!practice && this.waves) this.updateWaves(dt);
+
+    if (!practice) this.reproTimer += dt;
+    while (this.reproTimer >= 1) {
+      this.reproTimer -= 1;
+      if (!this.onBreather) this.reproduce();
+    }
+
+    this.bacteriaGrid.rebuild(this.bacteria);
+    this.claimGrid.rebuild(this.bacteria, isClaimed);
+
+    this.mutateCooldownLeft = Math.max(0, this.mutateCooldownLeft - dt);
+    this.induceCooldownLeft = Math.max(0, this.induceCooldownLeft - dt);
+    this.comboTimeLeft = Math.max(0, this.comboTimeLeft - dt);
+    if (this.comboTimeLeft === 0) this.comboCount = 0;
+    if (actions.mutate) this.mutatePhage();
+    if (actions.induce) this.induce();
+
+    if (actions.rally) this.orderHelpers("rally");
+    if (actions.release) this.orderHelpers("free");
+
+    const mode = actions.integrate && this.lysogeny ? "lysogenic" : "lytic";
+    for (const c of input.clicks) {
+      if (actions.guard) this.orderHelpers("guard", c.x, c.y);
+      else if (actions.hunt) this.orderHelpers("hunt", c.x, c.y);
+      else if (actions.deploy && this.burst) this.deployAt(c.x, c.y);
+      else this.tryAttachAt(c.x, c.y, mode);
+    }
+    if (actions.attach) this.tryAttachAt(this.player.x, this.player.y, mode);
+
+    this.handleMovement(dt, input.move);
+    this.constrainToDish(this.player);
+    if (this.tailFibers) this.updatePickups(dt);
+    if (this.burst) this.updateVirions(dt);
+
+    // Helpers spawned by a lysis this step start thinking next step
+    for (let i = 0, n = this.helpers.length; i < n; i++) {
+      const h = this.helpers[i];
+      helperBrain(this, h, dt);
+      this.constrainToDish(h);
+    }
+
+    for (const b of this.bacteria) {
+      bacteriaDrift(this, b, dt);
+      this.constrainToDish(b);
+    }
+
+    if (this.injecting && this.bacteria.includes(this.attachedTarget)) {
+      this.injectElapsed += dt * 1000;
+
+      const p = this.player;
+      p.vx = 0;
+      p.vy = 0;
+      p.x = this.attachedTarget.x;
+      p.y = this.attachedTarget.y;
+
+      if (this.injectProgress >= 1) {
+        if (this.injectMode === "lysogenic") this.integrate(this.attachedTarget);
+        else this.lysis(this.attachedTarget, "player");
+        this.stopInjecting();
+      }
+    } else if (this.injecting) {
+      this.stopInjecting();
+    }
+
+    const alive = this.bacteria.length;
+    this.stats.peakBacteria = Math.max(this.stats.peakBacteria, alive);
+    if (practice) return;
+
+    // Any of the four limits may be null to switch it off (all four: the sandbox)
+    if (this.neededToWin !== null && this.score >= this.neededToWin) {
+      this.end(true, "score");
+    } else if (this.loseThreshold !== null && alive >= this.loseThreshold) {
+      this.end(false, "overrun");
+    } else if (this.surviveSeconds !== null && this.elapsedSeconds >= this.surviveSeconds) {
+      this.end(true, "survived");
+    } else if (this.timeLimit !== null && this.elapsedSeconds >= this.timeLimit) {
+      this.end(false, "timeout");
+    }
+  }
+
+  end(won, reason) {
+    this.stopInjecting();
+    this.result = { won, reason };
+    this.events.push({ type: "ended", won, reason });
+  }
+
+  reproduce() {
+    const g = this.growth;
+    const n = this.bacteria.length;
+
+    const timeRamp = this.waves
+      ? clamp((this.wave - 1) * this.waves.rampPerWave, 0, g.timeRampMax)
+      : clamp(this.elapsedSeconds / g.timeScale, 0, g.timeRampMax);
+    const popRamp = clamp(n / g.popScale, 0, g.popRampMax);
+
+    const attempts = g.baseAttempts + Math.floor(timeRamp + popRamp); // ~2..6 by default
+    for (let i = 0; i < attempts; i++) {
+      const chance = clamp(g.baseChance + g.timeChance * timeRamp + g.popChance * popRamp, g.baseChance, g.maxChance);
+      const parent = this.bacteria.length > 0 ? rng.pick(this.bacteria) : null;
+      const rate = parent ? this.divisionRate(parent) : 1;
+      if (rng.random() < chance * rate && n < g.cap) {
+        this.spawnBacteriumNearExisting(parent);
+      }
+    }
+  }
+
+  // Each receptor change costs the cell division chance (resistance)
+  divisionRate(b) {
+    const rate = getSpecies(b.species).divisionRate;
+    if (!this.resistance || b.receptorVersion === 0) return rate;
+    return rate * Math.pow(1 - this.resistance.receptorFitnessCost, b.receptorVersion);
+  }
+
+  // Tail fibers: a phage only adsorbs to its own receptor type (null: any)
+  fiberFits(b, fiber) {
+    return b.receptorType === null || fiber === null || b.receptorType === fiber;
+  }
+
+  /**
+   * Why phage ({ strain, fiber }) can't infect b, or null if it can:
+   * "fiber" (wrong tail fiber), "prophage" (lysogen), "receptor" (receptor
+   * changed past the strain) or "crispr" (spacer for the strain)
+   */
+  infectionBlock(b, phage) {
+    if (!this.fiberFits(b, phage.fiber)) return "fiber";
+    if (b.prophage !== null) return "prophage";
+    if (!this.resistance) return null;
+    if (b.receptorVersion > phage.strain) return "receptor";
+    if (b.spacers.includes(phage.strain)) return "crispr";
+    return null;
+  }
+
+  // A new strain escapes every spacer and fits one more receptor change
+  mutatePhage() {
+    if (!this.canMutate) return false;
+
+    this.player.strain += 1;
+    this.mutateCooldownLeft = this.resistance.mutateCooldown;
+    this.events.push({ type: "phageMutated", strain: this.player.strain });
+    return true;
+  }
+
+  // Cells that live through a nearby lysis may remember the strain (CRISPR)
+  exposeNeighbours(x, y, strain) {
+    const r = this.resistance;
+    if (!r) return;
+
+    this.bacteriaGrid.forEachWithin(x, y, r.exposureRadius, (b) => {
+      if (b.spacers.includes(strain)) return;
+      if (rng.random() >= r.spacerChance) return;
+
+      b.spacers.push(strain);
+      if (b.spacers.length > r.maxSpacers) b.spacers.shift();
+      this.events.push({ type: "spacerAcquired", entity: b, strain });
+    });
+  }
+
+  handleMovement(dt, move) {
+    const p = this.player;
+    if (this.injecting) {
+      p.ax = 0;
+      p.ay = 0;
+      return;
+    }
+
+    const speed = 520;
+    let ax = 0, ay = 0;
+
+    if (move.left) ax -= 1;
+    if (move.right) ax += 1;
+    if (move.up) ay -= 1;
+    if (move.down) ay += 1;
+
+    // Held directions swim at full speed; an analog stick ({ x, y }, each
+    // -1..1) only when none are held, as fast as it is pushed
+    let push = 1;
+    if (ax === 0 && ay === 0 && move.stick) {
+      ax = move.stick.x;
+      ay = move.stick.y;
+      push = Math.min(1, Math.sqrt(ax * ax + ay * ay));
+    }
+
+    const len = Math.sqrt(ax * ax + ay * ay);
+    p.ax = len > 0 ? (ax / len) * speed * push : 0;
+    p.ay = len > 0 ? (ay / len) * speed * push : 0;
+
+    if (p.vx * p.vx + p.vy * p.vy > 20) {
+      p.rotation = wrapAngle(rotateTo(p.rotation, angleBetween(0, 0, p.vx, p.vy), 6 * dt));
+    }
+  }
+
+  // Lysogenic injection done: the genome integrates as a prophage and the
+  // cell lives on, immune to further infection, passing it to its daughters
+  integrate(b) {
+    b.prophage = { strain: this.player.strain, fiber: this.player.fiber };
+    if (b.hunted) this.unpaint(b);
+    this.events.push({ type: "integrated", entity: b });
+  }
+
+  // Stress event: every lysogen lyses at once. Each scores 1 + batchBonus per
+  // other induced cell (up to maxBatchMultiplier), so waiting pays more while
+  // the lysogens crowd the dish
+  induce() {
+    if (!this.canInduce) return false;
+
+    const lysogens = this.bacteria.filter((b) => b.prophage !== null);
+    if (lysogens.length === 0) return false;
+
+    const l = this.lysogeny;
+    const n = lysogens.length;
+    const perCell = Math.min(l.maxBatchMultiplier, 1 + l.batchBonus * (n - 1));
+    const points = Math.round(n * perCell);
+
+    for (const b of lysogens) this.lysis(b, "induction", b.prophage);
+    this.score += points - n; // lysis() already gave 1 per cell
+
+    this.induceCooldownLeft = l.induceCooldown;
+    this.events.push({ type: "induced", count: n, points });
+    return true;
+  }
+
+  // Attaches to the cell nearest (x, y) if it is within attachRange of the
+  // player; actions.attach searches from the player itself.
+  // mode: "lytic" lyses the host when injection completes, "lysogenic" integrates
+  tryAttachAt(x, y, mode = "lytic") {
+    if (this.injecting) return;
+
+    const hit = this.bacteriaGrid.nearest(x, y);
+    if (!hit) return;
+    const best = hit.entity;
+
+    const distToPlayer = Math.sqrt(dist2(this.player.x, this.player.y, best.x, best.y));
+    if (distToPlayer > this.attachRange) {
+      this.events.push({ type: "attachMissed", entity: best });
+      return;
+    }
+
+    const reason = this.infectionBlock(best, this.player);
+    if (reason) {
+      this.events.push({ type: "attachBlocked", entity: best, by: "player", reason });
+      return;
+    }
+
+    this.startInjecting(best, mode);
+  }
+
+  startInjecting(bacterium, mode = "lytic") {
+    if (!bacterium || !this.bacteria.includes(bacterium)) return;
+
+    this.attachedTarget = bacterium;
+    this.injecting = true;
+    this.injectMode = mode;
+
+    const n = this.bacteria.length;
+    const species = getSpecies(bacterium.species);
+    this.injectDuration = (this.baseInjectDuration + Math.min(900, n * 18)) * species.injectMultiplier;
+
+    this.injectElapsed = 0;
+
+    bacterium.infected = true;
+    this.events.push({ type: "injectStarted", entity: bacterium, mode });
+  }
+
+  stopInjecting() {
+    this.injecting = false;
+    if (this.attachedTarget) this.attachedTarget.infected = false;
+    this.attachedTarget = null;
+    this.injectElapsed = 0;
+  }
+
+  // phage: the infecting phage ({ strain, fiber }), passed on to the progeny
+  lysis(b, by, phage = this.player) {
+    const index = this.bacteria.indexOf(b);
+    if (index < 0) return;
+
+    this.bacteria.splice(index, 1);
+    this.bacteriaGrid.remove(b);
+    if (isClaimed(b)) this.claimGrid.remove(b);
+    this.deadBacteria.push(b);
+    if (b.hunted) this.unpaint(b);
+    for (const h of this.helpers) if (h.claim === b) h.claim = null;
+    const points = this.combo && by !== "induction" ? this.chainLysis() : 1;
+    this.score += points;
+    this.stats.lyses[by] += 1;
+    this.events.push({ type: "lysis", entity: b, by, points });
+
+    if (this.burst) {
+      this.releaseVirions(b, this.burstSize(b, by));
+    } else {
+      // Spawn helper phages per lysis, scaled by the host's yield (capped)
+      const progeny = Math.round(this.helpersPerLysis * getSpecies(b.species).lysisYield);
+      for (let i = 0; i < progeny; i++) {
+        if (this.helpers.length >= this.maxHelpers) break;
+        this.spawnHelperPhageNear(b.x, b.y, phage);
+      }
+    }
+
+    this.exposeNeighbours(b.x, b.y, phage.strain);
+  }
+
+  // Extends (or starts) the lysis chain; returns the points this lysis scores.
+  // Each lysesPerStep lyses within window seconds of each other add 1 to the
+  // multiplier; inductions score their own batch bonus instead
+  chainLysis() {
+    const before = this.comboMultiplier;
+    this.comboCount = this.comboTimeLeft > 0 ? this.comboCount + 1 : 1;
+    this.comboTimeLeft = this.combo.window;
+
+    const multiplier = this.comboMultiplier;
+    if (multiplier > before) this.events.push({ type: "combo", count: this.comboCount, multiplier });
+    return multiplier;
+  }
+
+  // A wave runs its course, then a breather (no divisions), then the next,
+  // bigger wave arrives. reproduce() ramps growth by wave rather than clock
+  updateWaves(dt) {
+    this.wavePhaseLeft -= dt;
+    if (this.wavePhaseLeft > 0) return;
+
+    const w = this.waves;
+    if (!this.onBreather) {
+      this.onBreather = true;
+      this.wavePhaseLeft += w.breather;
+      this.events.push({ type: "breather", wave: this.wave });
+      return;
+    }
+
+    this.onBreather = false;
+    this.wave += 1;
+    this.wavePhaseLeft += w.length;
+
+    const count = w.arrivals + w.arrivalsPerWave * (this.wave - 2);
+    for (let i = 0; i < count; i++) this.spawnBacterium();
+    this.events.push({ type: "waveStarted", wave: this.wave, count });
+  }
+
+  // Virions from a lysis: baseSize scaled by the host's lysisYield, shrunk by
+  // crowding (starved hosts) and helper kills, with +/- spread of variation
+  burstSize(b, by) {
+    const c = this.burst;
+    // Without a lose threshold the growth cap is the most crowded the dish gets
+    const crowded = this.loseThreshold ?? this.growth.cap;
+    const crowding = clamp(this.bacteria.length / crowded, 0, 1);
+
+    let size = c.baseSize * getSpecies(b.species).lysisYield * (1 - c.crowdingPenalty * crowding);
+    if (by === "helper") size *= c.helperKillMultiplier;
+    size *= rng.float(1 - c.spread, 1 + c.spread);
+
+    return Math.max(1, Math.round(size));
+  }
+
+  releaseVirions(b, size) {
+    const c = this.burst;
+
+    for (let i = 0; i < size; i++) {
+      const angle = rng.float(0, Math.PI * 2);
+      const speed = rng.float(40, 110);
+      const ttl = c.virionLifetime * rng.float(0.6, 1.4);
+      this.virions.push(this.virionPool.acquire(b.x, b.y, Math.cos(angle) * speed, Math.sin(angle) * speed, ttl));
+    }
+
+    while (this.virions.length > c.maxVirions) this.removeOldestVirion();
+    this.events.push({ type: "burst", entity: b, size });
+  }
+
+  removeOldestVirion() {
+    let oldest = 0;
+    for (let i = 1; i < this.virions.length; i++) {
+      if (this.virions[i].ttl < this.virions[oldest].ttl) oldest = i;
+    }
+    this.virionPool.release(this.virions[oldest]);
+    this.virions.splice(oldest, 1);
+  }
+
+  // Free virions: slow down, jostle (Brownian motion) and decay
+  updateVirions(dt) {
+    const drag = Math.pow(0.25, dt);
+
+    for (let i = this.virions.length - 1; i >= 0; i--) {
+      const v = this.virions[i];
+      v.ttl -= dt;
+      if (v.ttl <= 0) {
+        this.virionPool.release(v);
+        this.virions.splice(i, 1);
+        continue;
+      }
+
+      v.vx = v.vx * drag + rng.float(-60, 60) * dt;
+      v.vy = v.vy * drag + rng.float(-60, 60) * dt;
+      v.x += v.vx * dt;
+      v.y += v.vy * dt;
+      this.constrainToDish(v);
+    }
+  }
+
+  // Spends deployCost virions (oldest first) on a helper at the click
+  deployAt(x, y) {
+    const c = this.burst;
+
+    let reason = null;
+    if (this.helpers.length >= this.maxHelpers) reason = "helpers";
+    else if (this.virions.length < c.deployCost) reason = "virions";
+    if (reason) {
+      this.events.push({ type: "deployFailed", x, y, reason });
+      return null;
+    }
+
+    for (let i = 0; i < c.deployCost; i++) this.removeOldestVirion();
+
+    const p = clampToDishPoint(this.center, this.dishRadius * 0.9, { x, y });
+    const h = this.spawnHelperPhageNear(p.x, p.y, this.player);
+    this.events.push({ type: "deployed", entity: h, x: p.x, y: p.y });
+    return h;
+  }
+
+  // One order for every helper; helperBrain() (behaviors.js) carries it out.
+  // type: "free" | "rally" | "guard" | "hunt"; x, y mark the guard area or hunt cluster.
+  // A hunt paints the cells within ORDER_RADIUS.hunt that some helper can infect
+  orderHelpers(type, x = 0, y = 0) {
+    if (type === "guard") {
+      const p = clampToDishPoint(this.center, this.dishRadius * 0.9, { x, y });
+      x = p.x;
+      y = p.y;
+    }
+
+    if (type === "hunt") {
+      let count = 0;
+      this.bacteriaGrid.forEachWithin(x, y, ORDER_RADIUS.hunt, (b) => {
+        if (this.huntable(b)) count++;
+      });
+      if (count === 0) {
+        this.events.push({ type: "helperOrderFailed", order: type, x, y });
+        return false;
+      }
+    }
+
+    for (const b of this.bacteria) b.hunted = false;
+    this.huntedLeft = 0;
+
+    if (type === "hunt") {
+      this.bacteriaGrid.forEachWithin(x, y, ORDER_RADIUS.hunt, (b) => {
+        if (!this.huntable(b)) return;
+        b.hunted = true;
+        this.huntedLeft++;
+      });
+    }
+
+    this.helperOrder.type = type;
+    this.helperOrder.x = x;
+    this.helperOrder.y = y;
+    this.events.push({ type: "helperOrder", order: type, x, y, count: this.huntedLeft });
+    return true;
+  }
+
+  // Only cells some helper can infect right now are worth painting
+  huntable(b) {
+    return this.helpers.some((h) => this.infectionBlock(b, h) === null);
+  }
+
+  // A painted cell died or turned lysogen; the hunt ends with the last one
+  unpaint(b) {
+    b.hunted = false;
+    this.huntedLeft -= 1;
+    if (this.huntedLeft > 0 || this.helperOrder.type !== "hunt") return;
+
+    this.helperOrder.type = "free";
+    this.events.push({ type: "huntCleared" });
+  }
+
+  // kick: starting speed as a share of the species' max speed
+  createBacterium(x, y, speciesKey, kick) {
+    const speed = Math.round(getSpecies(speciesKey).speed * kick);
+    const vx = rng.between(-speed, speed);
+    const vy = rng.between(-speed, speed);
+    const heading = rng.float(-Math.PI, Math.PI);
+
+    const b = this.bacteriumPool.acquire(this.nextId++, speciesKey, x, y, vx, vy, heading);
+    this.bacteria.push(b);
+    return b;
+  }
+
+  spawnBacterium() {
+    const p = randomPointInDish(this.center, this.dishRadius * 0.92);
+    const b = this.createBacterium(p.x, p.y, rng.weighted(this.speciesMix), 0.53);
+    if (this.tailFibers) b.receptorType = rng.weighted(getSpecies(b.species).receptors);
+    this.events.push({ type: "bacteriumSpawned", entity: b, parent: null });
+    return b;
+  }
+
+  spawnBacteriumNearExisting(parent = rng.pick(this.bacteria)) {
+    if (!parent) return this.spawnBacterium();
+
+    const angle = rng.float(0, Math.PI * 2);
+    const r = rng.float(18, 44);
+    const p = { x: parent.x + Math.cos(angle) * r, y: parent.y + Math.sin(angle) * r };
+
+    const clamped = clampToDishPoint(this.center, this.dishRadius * 0.92, p);
+
+    const b = this.createBacterium(clamped.x, clamped.y, parent.species, 0.47);
+    this.inheritResistance(b, parent);
+    b.prophage = parent.prophage;
+    b.receptorType = parent.receptorType;
+    this.events.push({ type: "bacteriumSpawned", entity: b, parent });
+    return b;
+  }
+
+  // Daughters copy the receptor version and CRISPR spacers, and may change receptor again
+  inheritResistance(b, parent) {
+    if (!this.resistance) return;
+
+    b.receptorVersion = parent.receptorVersion;
+    for (const strain of parent.spacers) b.spacers.push(strain);
+    if (rng.random() < this.resistance.receptorMutationChance) b.receptorVersion += 1;
+  }
+
+  // phage: the phage whose strain and fiber the helper inherits
+  spawnHelperPhageNear(x, y, phage = this.player) {
+    const angle = rng.float(0, Math.PI * 2);
+    const r = rng.float(10, 30);
+
+    const wanderAngle = rng.float(0, Math.PI * 2);
+    const killer = rng.random() < this.killerHelperChance;
+
+    const h = this.helperPool.acquire(
+      this.nextId++, x + Math.cos(angle) * r, y + Math.sin(angle) * r, wanderAngle, killer, phage.strain, phage.fiber
+    );
+    this.helpers.push(h);
+    this.events.push({ type: "helperSpawned", entity: h });
+
+    return h;
+  }
+
+  // Sandbox: a fresh cell of the given species at (x, y), pulled inside the dish
+  addBacteriumAt(x, y, speciesKey) {
+    const p = clampToDishPoint(this.center, this.dishRadius * 0.92, { x, y });
+    const b = this.createBacterium(p.x, p.y, speciesKey, 0.53);
+    if (this.tailFibers) b.receptorType = rng.weighted(getSpecies(b.species).receptors);
+    this.events.push({ type: "bacteriumSpawned", entity: b, parent: null });
+    return b;
+  }
+
+  // Sandbox: a helper at (x, y) with the player's strain and fiber; null once maxHelpers are out
+  addHelperAt(x, y) {
+    if (this.helpers.length >= this.maxHelpers) return null;
+
+    const p = clampToDishPoint(this.center, this.dishRadius * 0.92, { x, y });
+    const h = this.spawnHelperPhageNear(p.x, p.y);
+    h.x = p.x;
+    h.y = p.y;
+    return h;
+  }
+
+  // Sandbox: new helper, injection and growth rules from here on
+  retune(settings) {
+    this.settings = { ...settings };
+    this.maxHelpers = settings.maxHelpers;
+    this.killerHelperChance = settings.killerHelperChance;
+    this.killerLysisChancePerSec = settings.killerLysisChancePerSec;
+    this.baseInjectDuration = settings.baseInjectDuration;
+    this.growth = settings.growth;
+  }
+
+  // Fiber pickups: spawn on a timer, fade out, swap the player's fiber on touch
+  updatePickups(dt) {
+    const t = this.tailFibers;
+
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const k = this.pickups[i];
+      k.ttl -= dt;
+
+      const r = t.pickupRadius;
+      if (dist2(k.x, k.y, this.player.x, this.player.y) <= r * r) {
+        this.pickups.splice(i, 1);
+        if (this.player.fiber !== k.fiber) {
+          this.player.fiber = k.fiber;
+          this.events.push({ type: "fiberChanged", fiber: k.fiber });
+        }
+      } else if (k.ttl <= 0) {
+        this.pickups.splice(i, 1);
+      }
+    }
+
+    this.pickupTimer += dt;
+    if (this.pickupTimer < t.pickupEvery) return;
+    this.pickupTimer -= t.pickupEvery;
+    if (this.pickups.length < t.maxPickups) this.spawnPickup();
+  }
+
+  spawnPickup() {
+    // Favour receptors the dish actually shows, most of all ones the player can't bind yet
+    const weights = {};
+    for (const key in RECEPTORS) weights[key] = key === this.player.fiber ? 0.25 : 1;
+    for (const b of this.bacteria) {
+      if (b.receptorType !== null && b.receptorType !== this.player.fiber) weights[b.receptorType] += 1;
+    }
+
+    const p = randomPointInDish(this.center, this.dishRadius * 0.8);
+    const k = { id: this.nextId++, x: p.x, y: p.y, fiber: rng.weighted(weights), ttl: this.tailFibers.pickupLifetime };
+    this.pickups.push(k);
+    this.events.push({ type: "pickupSpawned", entity: k });
+    return k;
+  }
+
+  constrainToDish(e) {
+    const tx = e.x - this.center.x;
+    const ty = e.y - this.center.y;
+    const len = Math.sqrt(tx * tx + ty * ty);
+    const maxR = this.dishRadius * 0.93;
+
+    if (len > maxR) {
+      const nx = tx / len;
+      const ny = ty / len;
+      e.x = this.center.x + nx * maxR;
+      e.y = this.center.y + ny * maxR;
+
+      const dot = e.vx * nx + e.vy * ny;
+      e.vx = (e.vx - 2 * dot * nx) * 0.65;
+      e.vy = (e.vy - 2 * dot * ny) * 0.65;
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * @file src/systems/spatialGrid.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Uniform-grid spatial index over the dish. Entities are bucketed by position
+ * so "who is near (x, y)?" only looks at a few cells instead of every entity.
+ * Plain JS (no Phaser) so the simulation can run under Node.
+ *
+ * Exports:
+ * - SpatialGrid(width, height, cellSize):
+ *   - rebuild(entities, accept = null): re-buckets every entity (that passes
+ *     accept(entity)) from its current x/y
+ *   - insert(entity): adds one entity at its current x/y
+ *   - remove(entity): drops one entity (e.g. lysed mid-step)
+ *   - nearest(x, y, maxDist = Infinity, accept = null):
+ *     closest entity strictly within maxDist that passes accept(entity),
+ *     or null. Returns { entity, d2 } so callers can reuse the distance.
+ *   - forEachWithin(x, y, radius, fn): calls fn(entity, d2) for every entity
+ *     within radius (inclusive)
+ *
+ * Notes:
+ * - Entities are any objects with x, y. Positions outside the grid are
+ *   clamped into the edge cells.
+ * - Results depend only on positions and insertion order, never on timing,
+ *   so simulation runs stay deterministic.
+ */
+
+
+import { clamp, dist2 } from "./geometry.js";
+
+export class SpatialGrid {
+  constructor(width, height, cellSize) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+  }
+
+  col(x) {
+    return clamp(Math.floor(x / this.cellSize), 0, this.cols - 1);
+  }
+
+  row(y) {
+    return clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+  }
+
+  rebuild(entities, accept = null) {
+    for (const cell of this.cells) cell.length = 0;
+    for (const e of entities) {
+      if (!accept || accept(e)) this.insert(e);
+    }
+  }
+
+  insert(entity) {
+    this.cells[this.row(entity.y) * this.cols + this.col(entity.x)].push(entity);
+  }
+
+  remove(entity) {
+    const cell = this.cells[this.row(entity.y) * this.cols + this.col(entity.x)];
+    let i = cell.indexOf(entity);
+
+    // It may have drifted into a neighbouring cell since the last rebuild
+    if (i < 0) {
+      for (const other of this.cells) {
+        i = other.indexOf(entity);
+        if (i >= 0) {
+          other.splice(i, 1);
+          return;
+        }
+      }
+      return;
+    }
+    cell.splice(i, 1);
+  }
+
+  nearest(x, y, maxDist = Infinity, accept = null) {
+    const cx = this.col(x);
+    const cy = this.row(y);
+    const size = this.cellSize;
+    const maxRing = Math.max(this.cols, this.rows);
+
+    let best = null;
+    let bestD2 = maxDist * maxDist;
+
+    // Walk outward ring by ring; stop once a ring can't hold anything closer
+    for (let ring = 0; ring <= maxRing; ring++) {
+      const gap = (ring - 1) * size;
+      if (gap > 0 && gap * gap >= bestD2) break;
+
+      for (let gy = cy - ring; gy <= cy + ring; gy++) {
+        if (gy < 0 || gy >= this.rows) continue;
+        const edgeRow = gy === cy - ring || gy === cy + ring;
+        const step = edgeRow ? 1 : ring * 2;
+
+        for (let gx = cx - ring; gx <= cx + ring; gx += step || 1) {
+          if (gx < 0 || gx >= this.cols) continue;
+
+          for (const e of this.cells[gy * this.cols + gx]) {
+            const d2 = dist2(x, y, e.x, e.y);
+            if (d2 >= bestD2) continue;
+            if (accept && !accept(e)) continue;
+            bestD2 = d2;
+            best = e;
+          }
+        }
+      }
+    }
+
+    return best ? { entity: best, d2: bestD2 } : null;
+  }
+
+  forEachWithin(x, y, radius, fn) {
+    const r2 = radius * radius;
+    const x0 = this.col(x - radius), x1 = this.col(x + radius);
+    const y0 = this.row(y - radius), y1 = this.row(y + radius);
+
+    for (let gy = y0; gy <= y1; gy++) {
+      for (let gx = x0; gx <= x1; gx++) {
+        for (const e of this.cells[gy * this.cols + gx]) {
+          const d2 = dist2(x, y, e.x, e.y);
+          if (d2 <= r2) fn(e, d2);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * @file src/systems/species.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Registry of bacterial species. Every bacterium carries a species key and
+ * looks its traits up here; levels choose the mix (see systems/levels.js).
+ *
+ * Traits:
+ * - name: shown to players
+ * - texture: key generated in systems/textures.js
+ * - speed: max velocity (px/s)
+ * - divisionRate: multiplier on the chance that a picked parent divides
+ * - injectMultiplier: multiplier on injection time (thicker walls take longer)
+ * - lysisYield: multiplier on progeny released when the cell lyses
+ * - receptors: weighted mix of surface receptor types (systems/receptors.js)
+ *   for fresh cells; daughters keep their parent's type
+ * - motility: "drift" (random jitter) or "runTumble" (chemotaxis toward the
+ *   nutrient-rich dish centre)
+ * - jitter: drift strength ("drift" only)
+ * - runSeconds: average run length before a tumble ("runTumble" only)
+ *
+ * Exports:
+ * - SPECIES, DEFAULT_SPECIES
+ * - getSpecies(key): traits for key (falls back to the default species)
+ */
+
+
+export const SPECIES = {
+  rod: {
+    name: "Bacillus (rod)",
+    texture: "bacterium-rod",
+    speed: 85,
+    divisionRate: 1.0,
+    injectMultiplier: 1.0,
+    lysisYield: 1.0,
+    receptors: { ompC: 0.6, lamB: 0.4 },
+    motility: "drift",
+    jitter: 18
+  },
+
+  coccus: {
+    name: "Coccus",
+    texture: "bacterium-coccus",
+    speed: 35,
+    divisionRate: 1.35,
+    injectMultiplier: 0.8,
+    lysisYield: 0.5,
+    receptors: { lamB: 0.5, fhuA: 0.5 },
+    motility: "drift",
+    jitter: 30
+  },
+
+  spirillum: {
+    name: "Spirillum",
+    texture: "bacterium-spirillum",
+    speed: 140,
+    divisionRate: 0.7,
+    injectMultiplier: 1.3,
+    lysisYield: 1.5,
+    receptors: { fhuA: 0.7, ompC: 0.3 },
+    motility: "runTumble",
+    runSeconds: 1.2
+  }
+};
+
+export const DEFAULT_SPECIES = "rod";
+
+export function getSpecies(key) {
+  return SPECIES[key] || SPECIES[DEFAULT_SPECIES];
+}
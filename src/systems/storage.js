@@ -0,0 +1,56 @@
+/**
+ * @file src/systems/storage.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Thin, failure-safe wrapper around localStorage for persisted game data.
+ *
+ * Exports:
+ * - loadJSON(key, fallback): parsed value, or fallback if missing/unreadable
+ * - saveJSON(key, value): returns false if storage is full or blocked
+ * - removeKey(key)
+ *
+ * Notes:
+ * - Keys are namespaced with "phagefall:" so several games can share an origin
+ * - Private browsing / disabled storage never throws; data just isn't kept
+ */
+
+
+const PREFIX = "phagefall:";
+
+function store() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function loadJSON(key, fallback) {
+  const s = store();
+  if (!s) return fallback;
+
+  try {
+    const raw = s.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  const s = store();
+  if (!s) return false;
+
+  try {
+    s.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function removeKey(key) {
+  const s = store();
+  if (s) s.removeItem(PREFIX + key);
+}
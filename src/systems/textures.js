@@ -8,20 +8,33 @@
  * so no image files are needed for visuals.
  *
  * Responsibilities:
- * - Generate textures: dish, vignette, phage, helper, bacterium, injectRing,
- *   injectFill, particle, shock, panel
+ * - Generate textures: dish, vignette, phage, helper, helperKiller, one
+ *   bacterium per species (bacterium-rod, bacterium-coccus,
+ *   bacterium-spirillum), prophage, fiberPickup, injectRing, injectFill,
+ *   particle, shock, panel, resultsPanel, and the lab notebook diagrams
+ *   (systems/diagrams.js)
+ * - Colour the bacteria and the prophage marker from a palette
+ *   (systems/palettes.js)
  *
  * Notes:
  * - Relies on W/H for canvas sizing
- * - Uses geometry.randomPointInDish for starfield speckles in dish
+ * - Uses geometry.randomPointInDish for starfield speckles in dish, with
+ *   Math.random as the source: textures are redrawn mid-run (palette
+ *   changes), so they must never draw from the seeded gameplay rng
+ * - Safe to call again with another palette: existing textures are cleared
+ *   and redrawn in place, so sprites already using them pick up the change
  */
 
 
 import { W, H } from "../config.js";
 import { randomPointInDish } from "./geometry.js";
+import { getPalette } from "./palettes.js";
+import { makeDiagrams } from "./diagrams.js";
 
-export function makeTextures(scene) {
+export function makeTextures(scene, palette = getPalette()) {
   function tex(key, w, h, drawFn) {
+    if (scene.textures.exists(key)) scene.textures.get(key).clear();
+
     const g = scene.make.graphics({ x: 0, y: 0, add: false });
     drawFn(g);
     g.generateTexture(key, w, h);
@@ -46,7 +59,7 @@ export function makeTextures(scene) {
     g.fillCircle(cx, cy, R);
 
     for (let i = 0; i < 220; i++) {
-      const p = randomPointInDish({ x: cx, y: cy }, R);
+      const p = randomPointInDish({ x: cx, y: cy }, R, Math.random);
       const a = Phaser.Math.FloatBetween(0.04, 0.14);
       const r = Phaser.Math.FloatBetween(0.8, 2.2);
       g.fillStyle(0x8fd3ff, a);
@@ -96,7 +109,7 @@ export function makeTextures(scene) {
   });
 
   // Helper phage
-  tex("helper", 48, 48, (g) => {
+  function drawHelper(g) {
     g.lineStyle(3, 0x9fe3ff, 0.8);
     g.beginPath();
     g.moveTo(24, 30); g.lineTo(16, 44);
@@ -113,11 +126,28 @@ export function makeTextures(scene) {
     g.fillCircle(24, 18, 10);
     g.lineStyle(2, 0x2b6a8f, 0.35);
     g.strokeCircle(24, 18, 9);
+  }
+  tex("helper", 48, 48, drawHelper);
+
+  // Killer helper: spiked capsid and a banded tail, so it reads without its tint
+  tex("helperKiller", 48, 48, (g) => {
+    drawHelper(g);
+
+    g.lineStyle(2.5, 0xffffff, 0.95);
+    g.beginPath();
+    for (let i = 0; i < 7; i++) {
+      const a = (i / 7) * Math.PI * 2 - Math.PI / 2;
+      g.moveTo(24 + Math.cos(a) * 10, 18 + Math.sin(a) * 10);
+      g.lineTo(24 + Math.cos(a) * 15, 18 + Math.sin(a) * 15);
+    }
+    g.moveTo(20, 31); g.lineTo(28, 31);
+    g.moveTo(20, 35); g.lineTo(28, 35);
+    g.strokePath();
   });
 
-  // Bacterium
-  tex("bacterium", 64, 64, (g) => {
-    g.fillStyle(0x62ff9e, 1);
+  // Bacterium: rod (bacillus)
+  tex("bacterium-rod", 64, 64, (g) => {
+    g.fillStyle(palette.species.rod, 1);
     g.fillRoundedRect(16, 20, 32, 24, 12);
 
     g.fillStyle(0xffffff, 0.18);
@@ -126,7 +156,7 @@ export function makeTextures(scene) {
     g.lineStyle(3, 0x135c3b, 0.35);
     g.strokeRoundedRect(16, 20, 32, 24, 12);
 
-    g.lineStyle(2, 0x62ff9e, 0.6);
+    g.lineStyle(2, palette.species.rod, 0.6);
     for (let i = 0; i < 8; i++) {
       const x = Phaser.Math.Between(14, 50);
       const y = Phaser.Math.Between(18, 46);
@@ -139,6 +169,72 @@ export function makeTextures(scene) {
     }
   });
 
+  // Bacterium: coccus (diplococcus pair)
+  tex("bacterium-coccus", 64, 64, (g) => {
+    g.fillStyle(palette.species.coccus, 1);
+    g.fillCircle(24, 32, 12);
+    g.fillCircle(41, 32, 12);
+
+    g.fillStyle(0xffffff, 0.2);
+    g.fillCircle(20, 27, 4);
+    g.fillCircle(37, 27, 4);
+
+    g.lineStyle(3, 0x4a2a6b, 0.4);
+    g.strokeCircle(24, 32, 12);
+    g.strokeCircle(41, 32, 12);
+  });
+
+  // Bacterium: spirillum (helical body with polar flagella)
+  tex("bacterium-spirillum", 64, 64, (g) => {
+    g.lineStyle(7, palette.species.spirillum, 1);
+    g.beginPath();
+    for (let x = 12; x <= 52; x += 2) {
+      const y = 32 + Math.sin((x - 12) / 40 * Math.PI * 3) * 7;
+      if (x === 12) g.moveTo(x, y);
+      else g.lineTo(x, y);
+    }
+    g.strokePath();
+
+    g.lineStyle(1.5, 0xffe9b0, 0.7);
+    g.beginPath();
+    g.moveTo(12, 32); g.lineTo(6, 26); g.lineTo(2, 30);
+    g.moveTo(52, 32); g.lineTo(58, 38); g.lineTo(62, 34);
+    g.strokePath();
+  });
+
+  // Prophage marker: dashed halo with a looped genome, drawn over lysogens
+  tex("prophage", 64, 64, (g) => {
+    g.lineStyle(2, palette.prophage, 0.85);
+    for (let i = 0; i < 12; i++) {
+      const a = (i / 12) * Math.PI * 2;
+      g.beginPath();
+      g.arc(32, 32, 27, a, a + 0.3, false);
+      g.strokePath();
+    }
+
+    g.lineStyle(2.5, 0xffc2f0, 0.95);
+    g.strokeEllipse(32, 32, 14, 9);
+  });
+
+  // Tail-fiber pickup: white so it can be tinted per receptor type
+  tex("fiberPickup", 40, 40, (g) => {
+    g.lineStyle(2, 0xffffff, 0.5);
+    g.strokeCircle(20, 20, 17);
+
+    g.lineStyle(3, 0xffffff, 1);
+    g.beginPath();
+    for (let i = 0; i < 3; i++) {
+      const a = (i / 3) * Math.PI * 2 - Math.PI / 2;
+      g.moveTo(20, 20);
+      g.lineTo(20 + Math.cos(a) * 8, 20 + Math.sin(a) * 8);
+      g.lineTo(20 + Math.cos(a + 0.5) * 13, 20 + Math.sin(a + 0.5) * 13);
+    }
+    g.strokePath();
+
+    g.fillStyle(0xffffff, 1);
+    g.fillCircle(20, 20, 4);
+  });
+
   tex("injectRing", 96, 96, (g) => {
     g.lineStyle(6, 0x9cc6ff, 0.55);
     g.strokeCircle(48, 48, 34);
@@ -173,4 +269,14 @@ export function makeTextures(scene) {
     g.lineStyle(3, 0x9cc6ff, 0.35);
     g.strokeRoundedRect(0, 0, 720, 220, 18);
   });
+
+  // Taller panel for the end-of-run results and population chart
+  tex("resultsPanel", 720, 500, (g) => {
+    g.fillStyle(0x0b1b28, 1);
+    g.fillRoundedRect(0, 0, 720, 500, 18);
+    g.lineStyle(3, 0x9cc6ff, 0.35);
+    g.strokeRoundedRect(0, 0, 720, 500, 18);
+  });
+
+  makeDiagrams(scene, palette);
 }
@@ -0,0 +1,158 @@
+/**
+ * @file src/systems/touch.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Touch steering for phones and tablets: a floating virtual joystick that
+ * appears wherever a finger starts dragging, kept apart from tap-to-attach.
+ *
+ * Exports:
+ * - touchModeOn(game, setting): whether touch controls should be used for a
+ *   "auto" | "on" | "off" preference ("auto" follows the primary pointer:
+ *   on for phones and tablets, off for touchscreen laptops and Chromebooks,
+ *   where the mouse or trackpad comes first)
+ * - TouchControls(scene, { onTap, enabled }):
+ *   - only finger presses (pointer.wasTouch) are tracked; mouse and pen
+ *     presses are left to the scene, so right-click and shift-click keep
+ *     working on touchscreen laptops in touch mode
+ *   - a press that lifts before moving TAP_SLOP px is a tap: onTap(x, y)
+ *     (world coordinates) gets it, on release
+ *   - a press that moves further becomes the joystick, centred where the
+ *     finger went down; it steers until that finger lifts
+ *   - one finger can steer while another taps
+ *   - enabled(): false while the scene ignores input (tutorial, game over)
+ *   - readMove(): { left, right, up, down } from the joystick
+ *   - reset(): forgets every press (fingers lifted while the scene was paused)
+ *   - destroy()
+ *
+ * Notes:
+ * - The joystick is read as eight directions, like the keys, so touch runs
+ *   record and replay the same way (systems/input.js)
+ * - Pointer positions are in game coordinates, so Phaser.Scale.FIT's scaling
+ *   and letterboxing don't change how far a finger has to move
+ * - Presses on buttons never reach this (makeButton stops propagation)
+ */
+
+
+import { dist2 } from "./geometry.js";
+
+// Finger travel (px) that turns a press into a drag
+const TAP_SLOP = 14;
+// Joystick ring radius and the share of it that is dead centre
+const STICK_RADIUS = 56;
+const STICK_DEADZONE = 0.25;
+// sin(22.5°): beyond this share of the push an axis counts, giving eight directions
+const AXIS_SHARE = 0.38;
+
+export function touchModeOn(game, setting) {
+  if (setting === "on") return true;
+  if (setting === "off") return false;
+  if (typeof window !== "undefined" && typeof window.matchMedia === "function") {
+    return window.matchMedia("(pointer: coarse)").matches;
+  }
+  return game.device.input.touch;
+}
+
+export class TouchControls {
+  constructor(scene, { onTap, enabled }) {
+    this.scene = scene;
+    this.onTap = onTap;
+    this.enabled = enabled;
+
+    // Presses being tracked, by pointer id: { x, y, dragging }
+    this.presses = new Map();
+    this.stick = null; // { id, x, y, dx, dy }
+
+    this.layer = scene.add.graphics().setDepth(1002);
+
+    // Room for a steering finger plus a tapping one
+    scene.input.addPointer(1);
+
+    this.onDown = (p) => {
+      if (!p.wasTouch || !this.enabled()) return;
+      this.presses.set(p.id, { x: p.worldX, y: p.worldY, dragging: false });
+    };
+    this.onMove = (p) => {
+      const press = this.presses.get(p.id);
+      if (!press) return;
+
+      if (!press.dragging && dist2(press.x, press.y, p.worldX, p.worldY) > TAP_SLOP * TAP_SLOP) {
+        press.dragging = true;
+        if (!this.stick) this.stick = { id: p.id, x: press.x, y: press.y, dx: 0, dy: 0 };
+      }
+      if (this.stick && this.stick.id === p.id) {
+        this.stick.dx = p.worldX - this.stick.x;
+        this.stick.dy = p.worldY - this.stick.y;
+      }
+      this.draw();
+    };
+    this.onUp = (p) => {
+      const press = this.presses.get(p.id);
+      if (!press) return;
+      this.presses.delete(p.id);
+
+      if (this.stick && this.stick.id === p.id) {
+        this.stick = null;
+        this.draw();
+      } else if (!press.dragging && this.enabled()) {
+        this.onTap(press.x, press.y);
+      }
+    };
+
+    scene.input.on("pointerdown", this.onDown);
+    scene.input.on("pointermove", this.onMove);
+    scene.input.on("pointerup", this.onUp);
+    scene.input.on("pointerupoutside", this.onUp);
+  }
+
+  readMove() {
+    const move = { left: false, right: false, up: false, down: false };
+    const s = this.stick;
+    if (!s || !this.enabled()) return move;
+
+    const len = Math.sqrt(s.dx * s.dx + s.dy * s.dy);
+    if (len < STICK_RADIUS * STICK_DEADZONE) return move;
+
+    const nx = s.dx / len;
+    const ny = s.dy / len;
+    move.left = nx < -AXIS_SHARE;
+    move.right = nx > AXIS_SHARE;
+    move.up = ny < -AXIS_SHARE;
+    move.down = ny > AXIS_SHARE;
+    return move;
+  }
+
+  draw() {
+    const g = this.layer;
+    g.clear();
+    const s = this.stick;
+    if (!s) return;
+
+    // Knob follows the finger but stays on the ring
+    const len = Math.sqrt(s.dx * s.dx + s.dy * s.dy);
+    const k = len > STICK_RADIUS ? STICK_RADIUS / len : 1;
+
+    g.lineStyle(3, 0x9cc6ff, 0.5);
+    g.strokeCircle(s.x, s.y, STICK_RADIUS);
+    g.fillStyle(0x0e2a3d, 0.35);
+    g.fillCircle(s.x, s.y, STICK_RADIUS);
+    g.fillStyle(0x9cc6ff, 0.7);
+    g.fillCircle(s.x + s.dx * k, s.y + s.dy * k, 24);
+  }
+
+  reset() {
+    this.presses.clear();
+    this.stick = null;
+    this.draw();
+  }
+
+  destroy() {
+    const input = this.scene.input;
+    input.off("pointerdown", this.onDown);
+    input.off("pointermove", this.onMove);
+    input.off("pointerup", this.onUp);
+    input.off("pointerupoutside", this.onUp);
+    this.presses.clear();
+    this.stick = null;
+  }
+}
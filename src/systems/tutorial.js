@@ -0,0 +1,215 @@
+/**
+ * @file src/systems/tutorial.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Data-driven tutorial. The script in assets/tutorial.json lists the steps
+ * GameScene shows before a run: what each one says, what it points at, and
+ * what the player has to do to move on.
+ *
+ * Script file:
+ *   {
+ *     "steps": [
+ *       {
+ *         "id": "attach",
+ *         "always": false,                    // also shown when the full tutorial is off
+ *         "requires": "resistance",           // only for levels with this rule group
+ *         "title": "tutorial.attach.title",   // i18n keys (systems/i18n.js)
+ *         "body": "tutorial.attach.body",
+ *         "variants": [{ "if": ["touch"], "body": "..." }],  // first match replaces title / body
+ *         "highlight": "center" | "player" | "bacterium",
+ *         "task": "tutorial.attach.task",     // shown while the player practises
+ *         "until": { "move": 100 } | { "event": "injectStarted", "entity": "highlight" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Exports:
+ * - queueTutorial(loader): loads the script
+ * - getTutorial(scene): the validated script from the JSON cache (intro and
+ *   goal cards only if it is missing or broken; tools/simulate.js validate
+ *   reports why)
+ * - validateTutorial(script): throws an Error describing the first problem found
+ * - tutorialSteps(script, { full, sim }): the steps for this run, in order
+ * - stepText(step, flags): { title, body } keys after variants
+ * - StepTracker: follows the simulation through one step's task
+ *
+ * Notes:
+ * - A step without "until" is a card: the dish is frozen until the player
+ *   taps, clicks or presses Space. A step with one is a practice task: the
+ *   dish runs slowed down and safe (Simulation's practice input) until the
+ *   task is done
+ * - "until": { "move": px } is the distance the player swims; { "event":
+ *   type, ...fields } waits for a simulation event whose fields match, where
+ *   "highlight" stands for the highlighted cell
+ * - Variant flags: touch, pad, burst, cues (pattern-cue palette) and intro
+ *   (the level, or endless mode, has intro text); a variant matches when all its flags are set
+ * - Texts get { level, intro, goal, keys, attachKey, deployKey, mutateKey,
+ *   integrateKey, induceKey } from GameScene
+ */
+
+
+const TUTORIAL_FILE = "assets/tutorial.json";
+
+const FLAGS = ["touch", "pad", "burst", "cues", "intro"];
+const RULE_GROUPS = ["burst", "resistance", "lysogeny", "tailFibers"];
+const HIGHLIGHTS = ["center", "player", "bacterium"];
+
+// Used when the script can't be loaded: the level intro and the goal, as before there was a script
+const FALLBACK = {
+  steps: [
+    {
+      id: "intro",
+      always: true,
+      title: "tutorial.intro.title",
+      body: "tutorial.intro.body",
+      variants: [{ if: ["intro"], body: "tutorial.intro.levelBody" }],
+      highlight: "center"
+    },
+    { id: "goal", always: true, title: "tutorial.winLose.title", body: "tutorial.winLose.body", highlight: "center" }
+  ]
+};
+
+export function queueTutorial(loader) {
+  loader.json("tutorial", TUTORIAL_FILE);
+}
+
+export function getTutorial(scene) {
+  const script = scene.cache.json.get("tutorial");
+  try {
+    validateTutorial(script);
+    return script;
+  } catch (err) {
+    return FALLBACK;
+  }
+}
+
+function isKey(v) {
+  return typeof v === "string" && v.length > 0;
+}
+
+export function validateTutorial(script) {
+  if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+    throw new Error("tutorial has no steps");
+  }
+
+  for (const step of script.steps) {
+    const where = `step "${step && step.id}"`;
+    if (!step || !isKey(step.id)) throw new Error("a step is missing its id");
+    if (!isKey(step.title) || !isKey(step.body)) throw new Error(`${where} needs a title and body`);
+    if (step.requires !== undefined && !RULE_GROUPS.includes(step.requires)) {
+      throw new Error(`${where} requires unknown rule group "${step.requires}"`);
+    }
+    if (step.highlight !== undefined && !HIGHLIGHTS.includes(step.highlight)) {
+      throw new Error(`${where} has unknown highlight "${step.highlight}"`);
+    }
+
+    for (const variant of step.variants || []) {
+      if (!Array.isArray(variant.if) || variant.if.some((flag) => !FLAGS.includes(flag))) {
+        throw new Error(`${where} has a variant with unknown flags`);
+      }
+    }
+
+    const until = step.until;
+    if (until === undefined) continue;
+    if (!isKey(step.task)) throw new Error(`${where} has a task without task text`);
+    if ("move" in until) {
+      if (!(typeof until.move === "number" && until.move > 0)) throw new Error(`${where}: until.move must be positive`);
+    } else if (!isKey(until.event)) {
+      throw new Error(`${where}: until needs "move" or "event"`);
+    }
+    if (Object.values(until).includes("highlight") && step.highlight !== "bacterium") {
+      throw new Error(`${where} matches the highlight but doesn't highlight a bacterium`);
+    }
+  }
+}
+
+// full: the player wants the how-to-play steps and the level asks for them
+export function tutorialSteps(script, { full, sim }) {
+  return script.steps.filter((step) => {
+    if (!full && !step.always) return false;
+    return !step.requires || Boolean(sim[step.requires]);
+  });
+}
+
+export function stepText(step, flags) {
+  const variant = (step.variants || []).find((v) => v.if.every((flag) => flags[flag]));
+  return {
+    title: (variant && variant.title) || step.title,
+    body: (variant && variant.body) || step.body
+  };
+}
+
+// Nearest cell the player's phage can infect right now, or null
+function nearestTarget(sim) {
+  const p = sim.player;
+  let best = null;
+  let bestD2 = Infinity;
+
+  for (const b of sim.bacteria) {
+    if (b.infected || sim.infectionBlock(b, p) !== null) continue;
+    const d2 = (b.x - p.x) ** 2 + (b.y - p.y) ** 2;
+    if (d2 < bestD2) {
+      best = b;
+      bestD2 = d2;
+    }
+  }
+  return best;
+}
+
+export class StepTracker {
+  constructor(step, sim) {
+    this.until = step.until || null;
+    this.highlightKind = step.highlight || "center";
+    this.highlight = null;
+    this.moved = 0;
+    this.last = { x: sim.player.x, y: sim.player.y };
+    this.done = false;
+
+    if (this.highlightKind === "bacterium") this.highlight = nearestTarget(sim);
+  }
+
+  get practice() {
+    return this.until !== null;
+  }
+
+  // Where the pointer goes this frame
+  target(sim) {
+    if (this.highlightKind === "player") return sim.player;
+    if (this.highlightKind === "bacterium" && this.highlight) return this.highlight;
+    return sim.center;
+  }
+
+  // Call after the simulation steps, before its events are cleared (a lysed
+  // cell is only recycled after that); true once the task is done
+  observe(sim) {
+    if (this.done || !this.until) return this.done;
+
+    const p = sim.player;
+    this.moved += Math.hypot(p.x - this.last.x, p.y - this.last.y);
+    this.last = { x: p.x, y: p.y };
+
+    if ("move" in this.until) {
+      this.done = this.moved >= this.until.move;
+    } else {
+      this.done = sim.events.some((ev) => this.matches(ev));
+    }
+
+    // The highlighted cell died: point at the next one, or let the task go
+    if (!this.done && this.highlightKind === "bacterium" && !sim.bacteria.includes(this.highlight)) {
+      this.highlight = nearestTarget(sim);
+      if (!this.highlight) this.done = true;
+    }
+    return this.done;
+  }
+
+  matches(ev) {
+    if (ev.type !== this.until.event) return false;
+    for (const key in this.until) {
+      if (key === "event") continue;
+      const want = this.until[key] === "highlight" ? this.highlight : this.until[key];
+      if (ev[key] !== want) return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * @file src/systems/ui.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Small shared UI builders so every scene draws buttons and text the same way.
+ *
+ * Exports:
+ * - UI_FONT: font stack used by all in-game text; after the Latin fonts it
+ *   lists Sinhala and Tamil ones (Noto, then the Windows / macOS system
+ *   fonts), so those scripts render wherever one is installed
+ * - makeButton(scene, x, y, w, label, onClick):
+ *   Rounded-look rectangle button with hover state. Returns [bg, text] so the
+ *   caller can add both to a container.
+ */
+
+
+export const UI_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, " +
+  "Noto Sans Sinhala, Iskoola Pota, Sinhala Sangam MN, Noto Sans Tamil, Nirmala UI, Latha, Tamil Sangam MN, sans-serif";
+
+export function makeButton(scene, x, y, w, label, onClick) {
+  const h = 46;
+
+  const bg = scene.add
+    .rectangle(x, y, w, h, 0x0e2a3d, 0.95)
+    .setStrokeStyle(2, 0x9cc6ff, 0.55)
+    .setInteractive({ useHandCursor: true });
+
+  const text = scene.add.text(x, y, label, {
+    fontFamily: UI_FONT,
+    fontSize: "16px",
+    color: "#e8f3ff"
+  }).setOrigin(0.5);
+
+  bg.on("pointerover", () => {
+    bg.setFillStyle(0x123a54, 1);
+    bg.setStrokeStyle(2, 0x9cc6ff, 0.85);
+  });
+  bg.on("pointerout", () => {
+    bg.setFillStyle(0x0e2a3d, 0.95);
+    bg.setStrokeStyle(2, 0x9cc6ff, 0.55);
+  });
+  bg.on("pointerdown", (pointer, lx, ly, event) => {
+    if (event) event.stopPropagation();
+    onClick();
+  });
+
+  return [bg, text];
+}
@@ -0,0 +1,367 @@
+/**
+ * @file tools/simulate.js
+ * @author Vijini Mallawaarachchi <viji.mallawaarachchi@gmail.com>
+ * @version 0.0.1
+ * @description
+ * Headless batch runner for balancing. Plays many games with a simple bot
+ * using systems/simulation.js (no browser, no canvas) and prints the win rate
+ * and run lengths for the current GAME_SETTINGS.
+ *
+ * Usage (Node 20.19+ / 22+, from the project root):
+ *   node tools/simulate.js [games=200] [firstSeed=1] [level id | endless | settings JSON] [difficulty=normal]
+ *   node tools/simulate.js 500 1 bloom                    // assets/levels/bloom.json
+ *   node tools/simulate.js 100 1 endless                  // endless mode: also prints waves survived
+ *   node tools/simulate.js 500 1 '{"loseThreshold":60}'   // settings overrides as JSON
+ *   node tools/simulate.js 500 1 bloom hard               // DIFFICULTY_PRESETS.hard on top
+ *   node tools/simulate.js bench [helpers=300] [bacteria=500] [steps=1800] [seed=1]
+ *   node tools/simulate.js validate [campaign=campaign]
+ *   node tools/simulate.js --check [seed=1] [campaign=campaign]
+ *
+ * Validate mode checks the campaign file, every level it lists and
+ * assets/tutorial.json, prints each problem and exits with status 1 if there
+ * are any. The game itself leaves a broken level out of the level select (and
+ * names it there) and falls back to the built-in tutorial cards.
+ *
+ * Check mode plays one bot game per campaign level, free play and endless,
+ * recording every step's input the way GameScene does (part of the time
+ * through an analog stick) and snapshotting it halfway. It then asserts that
+ * the recorded replay, and a restore of that snapshot stored as a save,
+ * both finish in exactly the live run's state. For runs without waves or
+ * combos it also restores the save with the wave and combo fields taken
+ * out, the way saves made before endless mode look (SAVE_VERSION 2 covers
+ * both). Exits with status 1 on any mismatch.
+ *
+ * Bench mode times Simulation.step() alone with a crowded dish: the given
+ * number of helpers (maxHelpers raised to fit) and bacteria, nothing won or
+ * lost, and an idle player. It prints ms per step (average and worst) and the
+ * counts at the end. Rendering isn't included, so a browser frame costs more.
+ *
+ * Bot policy:
+ * - Swim toward the nearest bacterium it can infect, click it once in range,
+ *   wait for the lysis
+ * - Mutate as soon as it can whenever the nearest bacterium resists its strain
+ * - Detour to a fiber pickup when it fits more cells than the current fiber and
+ *   isn't much farther away than the next target
+ * - Deploys a helper on the farthest cell it can bind whenever it has the virions
+ * - Reacts every step (a human is slower), so treat results as an upper bound
+ */
+
+
+import { readFileSync } from "node:fs";
+import { performance } from "node:perf_hooks";
+import { GAME_SETTINGS, DIFFICULTY_PRESETS } from "../src/config.js";
+import { Simulation, SIM_DT } from "../src/systems/simulation.js";
+import { randomPointInDish } from "../src/systems/geometry.js";
+import {
+  DEFAULT_CAMPAIGN, validateLevel, levelSettings, endlessSettings, withDifficulty
+} from "../src/systems/levels.js";
+import { validateTutorial } from "../src/systems/tutorial.js";
+import { ReplayRecorder, ReplayPlayer } from "../src/systems/replay.js";
+import { SAVE_VERSION, parseSave } from "../src/systems/savegame.js";
+
+const MAX_SECONDS = 600;
+
+// Untimed steps before a bench starts measuring (JIT warm-up)
+const BENCH_WARMUP_STEPS = 120;
+
+// Check mode steers with the analog stick (at this push) for half of every CHECK_STICK_STEPS
+const CHECK_STICK_STEPS = 240;
+const CHECK_STICK_PUSH = 0.6;
+
+// Snapshot fields that saves made before waves and combos don't have
+const LATER_SAVE_FIELDS = ["wave", "onBreather", "wavePhaseLeft", "comboCount", "comboTimeLeft"];
+
+function botInput(sim) {
+  const p = sim.player;
+  const input = { move: { left: false, right: false, up: false, down: false }, clicks: [], actions: {} };
+
+  if (sim.burst && sim.virions.length >= sim.burst.deployCost && sim.helpers.length < sim.maxHelpers) {
+    const far = farthestBindable(sim);
+    if (far) {
+      input.actions.deploy = true;
+      input.clicks.push({ x: Math.round(far.x), y: Math.round(far.y) });
+      return input;
+    }
+  }
+  if (sim.injecting) return input;
+
+  let nearest = null;
+  let nearestD2 = Infinity;
+  let best = null;
+  let bestD2 = Infinity;
+  for (const b of sim.bacteria) {
+    if (!sim.fiberFits(b, p.fiber)) continue;
+    const d2 = (b.x - p.x) ** 2 + (b.y - p.y) ** 2;
+    const blocked = sim.infectionBlock(b, p);
+    if (d2 < nearestD2 && blocked !== "prophage") { nearestD2 = d2; nearest = b; }
+    if (d2 < bestD2 && !blocked) { bestD2 = d2; best = b; }
+  }
+
+  if (nearest && nearest !== best && sim.canMutate) {
+    input.actions.mutate = true;
+    return input;
+  }
+  const pickup = betterFiberPickup(sim);
+  if (pickup && (!best || (pickup.x - p.x) ** 2 + (pickup.y - p.y) ** 2 < bestD2 * 2.25)) {
+    steer(input, p, pickup);
+    return input;
+  }
+  if (!best) return input;
+
+  if (bestD2 < (sim.attachRange * 0.8) ** 2) {
+    input.clicks.push({ x: Math.round(best.x), y: Math.round(best.y) });
+    return input;
+  }
+
+  steer(input, p, best);
+  return input;
+}
+
+function steer(input, p, target) {
+  input.move.left = target.x < p.x - 4;
+  input.move.right = target.x > p.x + 4;
+  input.move.up = target.y < p.y - 4;
+  input.move.down = target.y > p.y + 4;
+}
+
+function farthestBindable(sim) {
+  const p = sim.player;
+  let best = null;
+  let bestD2 = -1;
+  for (const b of sim.bacteria) {
+    if (!sim.fiberFits(b, p.fiber)) continue;
+    const d2 = (b.x - p.x) ** 2 + (b.y - p.y) ** 2;
+    if (d2 > bestD2) { bestD2 = d2; best = b; }
+  }
+  return best;
+}
+
+// Nearest pickup whose fiber binds more cells than the player's current fiber
+function betterFiberPickup(sim) {
+  const p = sim.player;
+  const counts = {};
+  for (const b of sim.bacteria) counts[b.receptorType] = (counts[b.receptorType] || 0) + 1;
+
+  let best = null;
+  let bestD2 = Infinity;
+  for (const k of sim.pickups) {
+    if ((counts[k.fiber] || 0) <= (counts[p.fiber] || 0)) continue;
+    const d2 = (k.x - p.x) ** 2 + (k.y - p.y) ** 2;
+    if (d2 < bestD2) { bestD2 = d2; best = k; }
+  }
+  return best;
+}
+
+function runGame(settings, seed) {
+  const sim = new Simulation(settings, seed);
+  const maxSteps = Math.round(MAX_SECONDS / SIM_DT);
+
+  for (let i = 0; i < maxSteps && !sim.gameOver; i++) {
+    sim.step(botInput(sim));
+    sim.events.length = 0;
+  }
+
+  return {
+    won: sim.result ? sim.result.won : false,
+    seconds: sim.elapsedSeconds,
+    score: sim.score,
+    waves: sim.waves ? sim.wavesSurvived : 0
+  };
+}
+
+function runBench(helpers, bacteria, steps, seed) {
+  const settings = {
+    ...GAME_SETTINGS,
+    neededToWin: null,
+    loseThreshold: null,
+    startBacteria: bacteria,
+    maxHelpers: helpers,
+    growth: { ...GAME_SETTINGS.growth, cap: Math.max(GAME_SETTINGS.growth.cap, bacteria) }
+  };
+  const sim = new Simulation(settings, seed);
+  while (sim.helpers.length < helpers) {
+    const p = randomPointInDish(sim.center, sim.dishRadius * 0.9);
+    sim.addHelperAt(p.x, p.y);
+  }
+
+  const idle = { move: { left: false, right: false, up: false, down: false }, clicks: [], actions: {} };
+  let total = 0;
+  let worst = 0;
+  for (let i = 0; i < BENCH_WARMUP_STEPS + steps; i++) {
+    const start = performance.now();
+    sim.step(idle);
+    const ms = performance.now() - start;
+    sim.events.length = 0;
+    if (i < BENCH_WARMUP_STEPS) continue;
+    total += ms;
+    worst = Math.max(worst, ms);
+  }
+
+  console.log(`bench: ${helpers} helpers  ${bacteria} bacteria  ${steps} steps  seed ${seed}`);
+  console.log(`ms/step: ${(total / steps).toFixed(2)} avg  ${worst.toFixed(2)} worst  (a 60 Hz frame is 16.7 ms)`);
+  console.log(`at the end: ${sim.helpers.length} helpers  ${sim.bacteria.length} bacteria  ${sim.virions.length} virions`);
+}
+
+function readAsset(path) {
+  return JSON.parse(readFileSync(new URL(`../assets/${path}`, import.meta.url), "utf8"));
+}
+
+// Runs check(), turning a thrown Error (or unreadable JSON) into a problem line
+function collectProblem(problems, where, check) {
+  try {
+    check();
+  } catch (err) {
+    problems.push(`${where}: ${err.message}`);
+  }
+}
+
+function runValidate(campaignId) {
+  const problems = [];
+  let levels = [];
+  collectProblem(problems, `levels/${campaignId}.json`, () => {
+    const campaign = readAsset(`levels/${campaignId}.json`);
+    if (!Array.isArray(campaign.levels) || campaign.levels.length === 0) throw new Error("campaign lists no levels");
+    levels = campaign.levels;
+  });
+  for (const id of levels) {
+    collectProblem(problems, `levels/${id}.json`, () => validateLevel(readAsset(`levels/${id}.json`)));
+  }
+  collectProblem(problems, "tutorial.json", () => validateTutorial(readAsset("tutorial.json")));
+
+  for (const line of problems) console.log(line);
+  console.log(`validate: ${levels.length} levels + tutorial, ${problems.length} problem(s)`);
+  return problems.length === 0;
+}
+
+// Swaps held directions for the matching stick push, as a gamepad would send them
+function withStick(input, stepIndex) {
+  const m = input.move;
+  if (stepIndex % CHECK_STICK_STEPS < CHECK_STICK_STEPS / 2) return input;
+  if (!m.left && !m.right && !m.up && !m.down) return input;
+
+  const stick = { x: (m.right - m.left) * CHECK_STICK_PUSH, y: (m.down - m.up) * CHECK_STICK_PUSH };
+  return { ...input, move: { left: false, right: false, up: false, down: false, stick } };
+}
+
+// The whole run state, for comparing two simulations of the same run
+function fingerprint(sim) {
+  return JSON.stringify({ result: sim.result, state: sim.snapshot() });
+}
+
+function playFrames(sim, player) {
+  while (!sim.gameOver && !player.done) {
+    sim.step(player.next());
+    sim.events.length = 0;
+  }
+  return sim;
+}
+
+function runCheck(name, settings, seed) {
+  const sim = new Simulation(settings, seed);
+  const recorder = new ReplayRecorder(seed, settings);
+  const maxSteps = Math.round(MAX_SECONDS / SIM_DT);
+  const snapshots = [];
+
+  for (let i = 0; i < maxSteps && !sim.gameOver; i++) {
+    if (i % 300 === 0) snapshots.push({ frames: recorder.frames.length, sim: JSON.stringify(sim.snapshot()) });
+    const input = withStick(botInput(sim), i);
+    recorder.record(input);
+    sim.step(input);
+    sim.events.length = 0;
+  }
+  const live = fingerprint(sim);
+  const seconds = sim.elapsedSeconds;
+  const replay = JSON.parse(JSON.stringify(recorder.finish({ won: sim.result ? sim.result.won : false, score: sim.score })));
+
+  const failures = [];
+  const replayed = playFrames(new Simulation(replay.settings, replay.seed), new ReplayPlayer(replay));
+  if (fingerprint(replayed) !== live) failures.push("replay");
+
+  const half = snapshots[Math.floor(snapshots.length / 2)];
+  const restoreFrom = (snap) => {
+    const save = parseSave(JSON.parse(JSON.stringify({
+      version: SAVE_VERSION, savedAt: 0, level: null, settings, frames: replay.frames.slice(0, half.frames), sim: snap
+    })));
+    const player = new ReplayPlayer(replay);
+    player.index = save.frames.length;
+    return playFrames(Simulation.restore(save.settings, save.sim), player);
+  };
+
+  if (fingerprint(restoreFrom(JSON.parse(half.sim))) !== live) failures.push("restore");
+  if (!settings.waves && !settings.combo) {
+    const older = JSON.parse(half.sim);
+    for (const key of LATER_SAVE_FIELDS) delete older[key];
+    if (fingerprint(restoreFrom(older)) !== live) failures.push("restore without wave/combo fields");
+  }
+
+  const outcome = sim.result ? (sim.result.won ? "won" : sim.result.reason) : "unfinished";
+  const restoredAt = (half.frames * SIM_DT).toFixed(1);
+  console.log(
+    `${name}: ${outcome}, score ${sim.score} in ${seconds.toFixed(1)}s; ` +
+    (failures.length ? `MISMATCH: ${failures.join(", ")}` : `replay and restore (from ${restoredAt}s) match`)
+  );
+  return failures.length === 0;
+}
+
+function runChecks(seed, campaignId) {
+  const runs = [["free play", GAME_SETTINGS], ["endless", endlessSettings()]];
+  for (const id of readAsset(`levels/${campaignId}.json`).levels) {
+    const level = readAsset(`levels/${id}.json`);
+    validateLevel(level);
+    runs.push([id, levelSettings(level)]);
+  }
+
+  let ok = true;
+  for (const [name, settings] of runs) ok = runCheck(name, settings, seed) && ok;
+  return ok;
+}
+
+if (process.argv[2] === "--check") {
+  process.exit(runChecks(Number(process.argv[3] || 1), process.argv[4] || DEFAULT_CAMPAIGN) ? 0 : 1);
+}
+
+if (process.argv[2] === "validate") {
+  process.exit(runValidate(process.argv[3] || DEFAULT_CAMPAIGN) ? 0 : 1);
+}
+
+if (process.argv[2] === "bench") {
+  const [helpers = 300, bacteria = 500, steps = 1800, seed = 1] = process.argv.slice(3).map(Number);
+  runBench(helpers, bacteria, steps, seed);
+  process.exit(0);
+}
+
+const games = Number(process.argv[2] || 200);
+const firstSeed = Number(process.argv[3] || 1);
+const variant = process.argv[4] || "";
+const difficulty = process.argv[5] || "normal";
+if (!(difficulty in DIFFICULTY_PRESETS)) throw new Error(`unknown difficulty "${difficulty}"`);
+
+function loadSettings() {
+  if (variant.startsWith("{")) return { ...GAME_SETTINGS, ...JSON.parse(variant) };
+  if (!variant) return GAME_SETTINGS;
+  if (variant === "endless") return endlessSettings();
+
+  const level = readAsset(`levels/${variant}.json`);
+  validateLevel(level);
+  return levelSettings(level);
+}
+
+const settings = withDifficulty(loadSettings(), difficulty);
+
+let wins = 0;
+let totalSeconds = 0;
+let totalScore = 0;
+let totalWaves = 0;
+
+for (let i = 0; i < games; i++) {
+  const r = runGame(settings, firstSeed + i);
+  if (r.won) wins++;
+  totalSeconds += r.seconds;
+  totalScore += r.score;
+  totalWaves += r.waves;
+}
+
+console.log(`games: ${games}  seeds: ${firstSeed}..${firstSeed + games - 1}  ${variant || "GAME_SETTINGS"}  ${difficulty}`);
+console.log(`win rate: ${((wins / games) * 100).toFixed(1)}%`);
+console.log(`avg length: ${(totalSeconds / games).toFixed(1)}s  avg score: ${(totalScore / games).toFixed(1)}`);
+if (settings.waves) console.log(`avg waves survived: ${(totalWaves / games).toFixed(1)}`);